@@ -0,0 +1,83 @@
+// backend/backfillLedger.js
+// Fills the diamond ledger from existing progress records and streak
+// bonuses. Safe to run again: keyed entries are only written once, and a
+// progress whose ledger entries no longer add up to its totalDiamonds
+// (e.g. changed outside the app) gets one correcting adjustment. Voided
+// days (utils/integrity.js) are expected to net to 0.
+//   node backfillLedger.js [--dry-run]
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import DiamondLedger from "./models/DiamondLedger.js";
+import StudentQuizProgress from "./models/StudentQuizProgress.js";
+import StreakBonus from "./models/StreakBonus.js";
+import { progressTotal } from "./utils/scoring.js";
+import { recordEntries, earnEntry, streakBonusEntry } from "./utils/ledger.js";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+async function run() {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const sums = await DiamondLedger.aggregate([
+    { $match: { refType: "progress" } },
+    { $group: { _id: "$refId", total: { $sum: "$amount" } } },
+  ]);
+  const ledgerByProgress = Object.fromEntries(sums.map((s) => [String(s._id), s.total]));
+
+  let written = 0;
+  let adjusted = 0;
+  const cursor = StudentQuizProgress.find().lean().cursor();
+
+  for await (const progress of cursor) {
+    // a voided day nets to 0 whatever its answers still show
+    const expected = progress.voided ? 0 : progressTotal(progress.answers);
+    const inLedger = ledgerByProgress[String(progress._id)];
+    const entries = [];
+
+    if (typeof inLedger === "undefined") {
+      (progress.answers || []).forEach((a) => {
+        if (Number(a.earnedDiamonds) > 0) {
+          entries.push(earnEntry(progress, a.questionId, Number(a.earnedDiamonds), a.attempts));
+        }
+        if (Number(a.hintCost) > 0) {
+          entries.push({
+            studentId: progress.studentId,
+            type: "hint-spend",
+            amount: -Number(a.hintCost),
+            reason: `Hints unlocked (${(a.hintsUsed || []).length})`,
+            refType: "progress",
+            refId: progress._id,
+            questionId: String(a.questionId),
+            date: progress.date,
+            level: progress.level,
+            key: `hint-backfill:${progress._id}:${a.questionId}`,
+          });
+        }
+      });
+    } else if (inLedger !== expected) {
+      entries.push({
+        studentId: progress.studentId,
+        type: "admin-adjustment",
+        amount: expected - inLedger,
+        reason: "Ledger backfill correction",
+        refType: "progress",
+        refId: progress._id,
+        date: progress.date,
+        level: progress.level,
+      });
+      adjusted += 1;
+    }
+
+    if (!dryRun) written += await recordEntries(entries);
+    else written += entries.length;
+  }
+
+  const bonuses = await StreakBonus.find().lean();
+  if (!dryRun) written += await recordEntries(bonuses.map(streakBonusEntry));
+
+  console.log(dryRun ? "Dry run," : "Done,", "entries written:", written, "progress corrected:", adjusted);
+  process.exit(0);
+}
+run().catch(e=>{ console.error(e); process.exit(1); });
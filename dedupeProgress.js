@@ -0,0 +1,125 @@
+// backend/dedupeProgress.js
+// Merges duplicate StudentQuizProgress rows (same studentId + date +
+// level, left behind by the old first-answer race) and then creates the
+// unique index on those fields. Run it once before deploying the unique
+// index; until then index creation on startup fails on such databases.
+//   node dedupeProgress.js [--dry-run]
+// Per group the oldest row is kept. Each question keeps the answer with
+// the most attempts, the total is recomputed, ledger entries and answer
+// events are moved to the kept row and, when the ledger no longer adds
+// up to the merged total, one correcting adjustment is written.
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import AnswerEvent from "./models/AnswerEvent.js";
+import DiamondLedger from "./models/DiamondLedger.js";
+import StudentQuizProgress from "./models/StudentQuizProgress.js";
+import { progressTotal } from "./utils/scoring.js";
+import { recordEntries } from "./utils/ledger.js";
+import { refreshStandings } from "./utils/standings.js";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+// The furthest answer of each question across the duplicates
+function mergeAnswers(rows) {
+  const byQuestion = {};
+  rows.forEach((row) => {
+    (row.answers || []).forEach((a) => {
+      const id = String(a.questionId);
+      const current = byQuestion[id];
+      const further =
+        !current ||
+        Number(a.attempts || 0) > Number(current.attempts || 0) ||
+        (Number(a.attempts || 0) === Number(current.attempts || 0) && a.isCorrect && !current.isCorrect);
+      if (further) byQuestion[id] = a;
+    });
+  });
+  return Object.values(byQuestion);
+}
+
+function mergeRows([keep, ...rest]) {
+  const rows = [keep, ...rest];
+  const voided = rows.some((r) => r.voided);
+  const answers = mergeAnswers(rows);
+  const started = rows.map((r) => r.startedAt).filter(Boolean).map((d) => new Date(d));
+
+  return {
+    answers,
+    totalDiamonds: voided ? 0 : progressTotal(answers),
+    completed: rows.some((r) => r.completed),
+    ruleVersion: keep.ruleVersion || rest.find((r) => r.ruleVersion)?.ruleVersion,
+    startedAt: started.length ? new Date(Math.min(...started)) : keep.startedAt,
+    rev: Math.max(...rows.map((r) => Number(r.rev || 0))) + 1,
+    ...(voided && {
+      voided: true,
+      voidedDiamonds: rows.reduce((sum, r) => sum + Number(r.voidedDiamonds || 0), 0),
+    }),
+  };
+}
+
+async function run() {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const groups = await StudentQuizProgress.aggregate([
+    {
+      $group: {
+        _id: { studentId: "$studentId", date: "$date", level: "$level" },
+        ids: { $push: "$_id" },
+        count: { $sum: 1 },
+      },
+    },
+    { $match: { count: { $gt: 1 } } },
+  ]).allowDiskUse(true);
+
+  let removed = 0;
+  let adjusted = 0;
+
+  for (const group of groups) {
+    const rows = await StudentQuizProgress.find({ _id: { $in: group.ids } })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+    const [keep, ...rest] = rows;
+    const restIds = rest.map((r) => r._id);
+    removed += rest.length;
+    if (dryRun) continue;
+
+    const merged = mergeRows(rows);
+    await StudentQuizProgress.updateOne({ _id: keep._id }, { $set: merged });
+    await DiamondLedger.updateMany({ refType: "progress", refId: { $in: restIds } }, { $set: { refId: keep._id } });
+    await AnswerEvent.updateMany({ progressId: { $in: restIds } }, { $set: { progressId: keep._id } });
+    await StudentQuizProgress.deleteMany({ _id: { $in: restIds } });
+
+    const [sum] = await DiamondLedger.aggregate([
+      { $match: { refType: "progress", refId: keep._id } },
+      { $group: { _id: null, total: { $sum: "$amount" } } },
+    ]);
+    const inLedger = sum ? Number(sum.total) : 0;
+    if (inLedger !== merged.totalDiamonds) {
+      adjusted += await recordEntries([
+        {
+          studentId: keep.studentId,
+          type: "admin-adjustment",
+          amount: merged.totalDiamonds - inLedger,
+          reason: "Duplicate progress merged",
+          refType: "progress",
+          refId: keep._id,
+          date: keep.date,
+          level: keep.level,
+          key: `dedupe:${keep._id}`,
+        },
+      ]);
+    }
+
+    await refreshStandings(keep.studentId, [keep.date]);
+  }
+
+  console.log(dryRun ? "Dry run," : "Done,", "duplicate groups:", groups.length, "rows removed:", removed, "ledger adjusted:", adjusted);
+
+  if (!dryRun) {
+    await StudentQuizProgress.createIndexes();
+    console.log("Unique progress index in place");
+  }
+  process.exit(0);
+}
+run().catch(e=>{ console.error(e); process.exit(1); });
@@ -0,0 +1,17 @@
+// backend/evaluateBadges.js
+// Periodic badge job, e.g. from cron every Monday morning:
+//   node evaluateBadges.js [weekStart]
+// Checks every student's badges and awards last week's weekly ranks.
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { evaluateAllBadges } from "./utils/badges.js";
+
+dotenv.config();
+
+async function run() {
+  await mongoose.connect(process.env.MONGO_URI);
+  const result = await evaluateAllBadges({ weekStart: process.argv[2] });
+  console.log("Students:", result.students, "week:", result.weekStart, "awarded:", result.awarded);
+  process.exit(0);
+}
+run().catch(e=>{ console.error(e); process.exit(1); });
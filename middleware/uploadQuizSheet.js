@@ -0,0 +1,19 @@
+import multer from "multer";
+import { sheetFormat } from "../utils/quizSheet.js";
+
+const storage = multer.memoryStorage();
+
+const uploadQuizSheet = multer({
+  storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (!sheetFormat(file.originalname)) {
+      return cb(new Error("Only .xlsx, .csv or .json files are allowed"));
+    }
+    cb(null, true);
+  },
+});
+
+export default uploadQuizSheet;
@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// One quiz answer as it arrived: timing and where it came from.
+// Read by the integrity checks, see utils/integrity.js.
+const answerEventSchema = new mongoose.Schema({
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+  progressId: { type: mongoose.Schema.Types.ObjectId, ref: "StudentQuizProgress" },
+  questionId: { type: String, required: true },
+  date: { type: String, required: true },
+  level: { type: String, required: true },
+  attempt: { type: Number },
+  isCorrect: { type: Boolean },
+  elapsedMs: { type: Number },                  // since the previous answer of the day, or the first fetch
+  ip: { type: String },
+  deviceId: { type: String },                   // X-Device-Id header sent by the app
+  userAgent: { type: String },
+  at: { type: Date, default: Date.now },
+});
+
+answerEventSchema.index({ studentId: 1, date: 1, at: 1 });
+answerEventSchema.index({ ip: 1, at: 1 });
+answerEventSchema.index({ deviceId: 1, at: 1 }, { sparse: true });
+
+export default mongoose.model("AnswerEvent", answerEventSchema);
@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// Badge definition, managed by superadmins. `metric` is one of the
+// measures in utils/badges.js, the badge is earned once the student's
+// value reaches `threshold` (for weeklyRank: rank <= threshold).
+const badgeRuleSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },  // e.g. "first-perfect-day"
+  name: { type: String, required: true },
+  description: { type: String, default: "" },
+  icon: { type: String, default: "" },                  // emoji or image URL
+  metric: { type: String, required: true },
+  threshold: { type: Number, required: true },
+  level: { type: String },                              // only count this level, blank = all
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+}, { timestamps: true });
+
+export default mongoose.model("BadgeRule", badgeRuleSchema);
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+const usesOptions = function () {
+  return ["single", "multi", "truefalse"].includes(this.type || "single");
+};
+
+// Reusable question, not tied to a date. Scheduling copies it into a
+// Quiz document (see Quiz.bankQuestionId).
+const bankQuestionSchema = new mongoose.Schema({
+  topic: { type: String, default: "" },         // lowercase, copied to Quiz.topics when scheduled
+  level: { type: String, required: true },      // beginner / intermediate / advance
+  type: {
+    type: String,
+    enum: ["single", "multi", "truefalse", "numeric", "text"],
+    default: "single"
+  },
+  question: { type: String, required: true },
+  options: { type: [String], default: undefined, required: usesOptions },
+  correctIndex: {
+    type: Number,
+    required: function () { return ["single", "truefalse"].includes(this.type || "single"); }
+  },
+  correctIndices: { type: [Number], default: undefined },
+  numericAnswer: { type: Number },
+  tolerance: { type: Number },
+  acceptedAnswers: { type: [String], default: undefined },
+  imageUrl: { type: String },
+  explanation: { type: String },
+  hints: { type: [{ _id: false, text: String, cost: Number }], default: undefined },
+  scoring: {
+    ladder: { type: [Number], default: undefined },
+    maxAttempts: { type: Number }
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+}, { timestamps: true });
+
+bankQuestionSchema.index({ level: 1, topic: 1 });
+
+export default mongoose.model("BankQuestion", bankQuestionSchema);
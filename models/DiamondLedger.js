@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// Append-only record of every diamond balance change, see utils/ledger.js.
+// Entries are only ever inserted, the hooks below refuse edits and deletes.
+const diamondLedgerSchema = new mongoose.Schema({
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+  type: {
+    type: String,
+    enum: ["earn", "bonus", "hint-spend", "redemption", "admin-adjustment"],
+    required: true
+  },
+  amount: { type: Number, required: true },     // + adds to the balance, - takes off
+  reason: { type: String, required: true },
+  refType: { type: String },                    // progress / streak-bonus / redemption / admin
+  refId: { type: mongoose.Schema.Types.ObjectId },
+  questionId: { type: String },                 // quiz question, for progress entries
+  date: { type: String },                       // quiz date, for progress entries
+  level: { type: String },
+  key: { type: String },                        // set when the entry must only exist once
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+diamondLedgerSchema.index({ key: 1 }, { unique: true, sparse: true });
+diamondLedgerSchema.index({ studentId: 1, createdAt: -1 });
+diamondLedgerSchema.index({ refType: 1, refId: 1 });
+
+diamondLedgerSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"],
+  function () {
+    throw new Error("The diamond ledger is append-only");
+  }
+);
+
+export default mongoose.model("DiamondLedger", diamondLedgerSchema);
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// Suspicious answering pattern waiting for superadmin review,
+// see utils/integrity.js. `key` keeps the same finding from being
+// raised twice.
+const integrityFlagSchema = new mongoose.Schema({
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+  date: { type: String, required: true },       // quiz date the finding belongs to
+  level: { type: String },
+  type: {
+    type: String,
+    enum: ["fast-correct", "perfect-advanced", "shared-device", "shared-ip"],
+    required: true
+  },
+  key: { type: String, required: true, unique: true },
+  details: { type: mongoose.Schema.Types.Mixed },  // what was seen, depends on the type
+  status: {
+    type: String,
+    enum: ["open", "dismissed", "voided"],
+    default: "open"
+  },
+  note: { type: String },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  reviewedAt: { type: Date },
+  voidedDiamonds: { type: Number },             // taken off when the day was voided
+}, { timestamps: true });
+
+integrityFlagSchema.index({ status: 1, createdAt: 1 });
+integrityFlagSchema.index({ studentId: 1, date: 1 });
+
+export default mongoose.model("IntegrityFlag", integrityFlagSchema);
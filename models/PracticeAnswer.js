@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// Practice on past quizzes, one document per student + question.
+// Kept apart from StudentQuizProgress: no diamonds, no completion.
+const practiceAnswerSchema = new mongoose.Schema({
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+  questionId: { type: mongoose.Schema.Types.ObjectId, ref: "Quiz", required: true },
+  date: { type: String, required: true },
+  level: { type: String, required: true },
+  attempts: { type: Number, default: 0 },       // every practice answer
+  correct: { type: Number, default: 0 },        // of which correct
+  lastCorrect: { type: Boolean, default: false },
+  lastAnsweredAt: { type: Date },
+}, { timestamps: true });
+
+practiceAnswerSchema.index({ studentId: 1, questionId: 1 }, { unique: true });
+practiceAnswerSchema.index({ studentId: 1, date: 1, level: 1 });
+
+export default mongoose.model("PracticeAnswer", practiceAnswerSchema);
@@ -1,14 +1,54 @@
 import mongoose from "mongoose";
 
+const usesOptions = function () {
+  return ["single", "multi", "truefalse"].includes(this.type || "single");
+};
+
 const quizSchema = new mongoose.Schema({
   date: { type: String, required: true },       // 2025-05-20
   level: { type: String, required: true },      // beginner / intermediate / advance
+  type: {
+    type: String,
+    enum: ["single", "multi", "truefalse", "numeric", "text"],
+    default: "single"
+  },
   question: { type: String, required: true },
-  options: { type: [String], required: true },  // 4 options
-  correctIndex: { type: Number, required: true },
-  imageUrl: { type: String }
+  options: { type: [String], default: undefined, required: usesOptions },  // 4 options
+  correctIndex: {                               // single / truefalse
+    type: Number,
+    required: function () { return ["single", "truefalse"].includes(this.type || "single"); }
+  },
+  correctIndices: { type: [Number], default: undefined },   // multi
+  numericAnswer: { type: Number },                          // numeric
+  tolerance: { type: Number },                              // numeric, ± allowed
+  acceptedAnswers: { type: [String], default: undefined },  // text, case-insensitive
+  imageUrl: { type: String },
+  explanation: { type: String },                // shown once the question is locked
+  hints: {                                      // bought with diamonds, see POST /api/student-quiz/hint
+    type: [{ _id: false, text: String, cost: Number }],
+    default: undefined
+  },
+  topics: { type: [String], default: undefined },          // lowercase tags, e.g. ["fractions"]
+  classNames: { type: [String], default: undefined },      // Student.className values, empty = every class
+  scoring: {                                    // optional override of the level rule
+    ladder: { type: [Number], default: undefined },
+    maxAttempts: { type: Number }
+  },
+  status: {                                     // see utils/publishing.js
+    type: String,
+    enum: ["draft", "scheduled", "published", "archived"],
+    default: "scheduled"
+  },
+  publishAt: { type: Date },                    // optional go-live time for "scheduled"
+  timeLimitSeconds: { type: Number },           // see utils/timing.js
+  quizTimeLimitSeconds: { type: Number },       // same value on every question of the date + level
+  lateAnswerPolicy: { type: String, enum: ["reject", "zero"] },
+  bankQuestionId: { type: mongoose.Schema.Types.ObjectId, ref: "BankQuestion" }  // set when scheduled from the bank
 }, { timestamps: true });
 
 quizSchema.index({ date: 1, level: 1 });
+quizSchema.index({ bankQuestionId: 1, date: 1 });
+quizSchema.index({ topics: 1 });
+quizSchema.index({ date: 1, level: 1, classNames: 1 });
 
 export default mongoose.model("Quiz", quizSchema);
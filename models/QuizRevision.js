@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+const quizRevisionSchema = new mongoose.Schema({
+  quizId: { type: mongoose.Schema.Types.ObjectId, ref: "Quiz", required: true },
+  revision: { type: Number, required: true },   // 1, 2, 3 ... per question
+  editedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  editorEmail: { type: String },
+  changes: [
+    {
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed
+    }
+  ],
+  answerKeyChanged: { type: Boolean, default: false },
+
+  // filled in by the regrade action
+  regradedAt: { type: Date },
+  regradedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  regradeSummary: {
+    progressChecked: Number,
+    progressChanged: Number,
+    diamondDelta: Number,
+    notRegradable: Number,
+    conflicts: Number            // still being answered after every retry, regrade again
+  }
+}, { timestamps: true });
+
+quizRevisionSchema.index({ quizId: 1, revision: -1 }, { unique: true });
+
+export default mongoose.model("QuizRevision", quizRevisionSchema);
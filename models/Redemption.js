@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// A student's reward redemption and its way through the fulfilment queue:
+// pending -> approved -> fulfilled, or rejected (diamonds refunded)
+const redemptionSchema = new mongoose.Schema({
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+  rewardId: { type: mongoose.Schema.Types.ObjectId, ref: "Reward", required: true },
+  rewardName: { type: String, required: true },  // as it was when redeemed
+  price: { type: Number, required: true },       // diamonds paid
+  status: {
+    type: String,
+    enum: ["pending", "approved", "fulfilled", "rejected"],
+    default: "pending"
+  },
+  history: [
+    {
+      _id: false,
+      status: String,
+      note: String,
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      at: { type: Date, default: Date.now }
+    }
+  ],
+  refunded: { type: Boolean, default: false },
+}, { timestamps: true });
+
+redemptionSchema.index({ status: 1, createdAt: 1 });
+redemptionSchema.index({ studentId: 1, createdAt: -1 });
+
+export default mongoose.model("Redemption", redemptionSchema);
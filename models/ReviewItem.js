@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// One question in a student's review queue, see utils/review.js.
+// Added from StudentQuizProgress, scheduled on a spaced-repetition ladder.
+const reviewItemSchema = new mongoose.Schema({
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+  questionId: { type: mongoose.Schema.Types.ObjectId, ref: "Quiz", required: true },
+  date: { type: String, required: true },       // quiz date the question came from
+  level: { type: String, required: true },
+  reason: { type: String, enum: ["wrong", "attempts"], required: true },
+  quizAttempts: { type: Number },               // attempts used in the quiz itself
+  step: { type: Number, default: 0 },           // index into REVIEW_INTERVALS
+  dueDate: { type: String, required: true },    // 2025-05-20, due from this date on
+  reviews: { type: Number, default: 0 },
+  lapses: { type: Number, default: 0 },         // reviews answered wrong
+  lastOutcome: { type: String, enum: ["correct", "wrong"] },
+  lastReviewedAt: { type: Date },
+  mastered: { type: Boolean, default: false },  // past the last interval, no longer due
+}, { timestamps: true });
+
+reviewItemSchema.index({ studentId: 1, questionId: 1 }, { unique: true });
+reviewItemSchema.index({ studentId: 1, mastered: 1, dueDate: 1 });
+
+export default mongoose.model("ReviewItem", reviewItemSchema);
@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// Rewards catalogue item, bought with diamonds (see routes/rewards.js)
+const rewardSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: { type: String, default: "" },
+  imageUrl: { type: String },
+  price: { type: Number, required: true },      // diamonds
+  stock: { type: Number, default: null },       // null = unlimited
+  availableFrom: { type: Date },                // optional window
+  availableUntil: { type: Date },
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+}, { timestamps: true });
+
+rewardSchema.index({ active: 1, availableFrom: 1, availableUntil: 1 });
+
+export default mongoose.model("Reward", rewardSchema);
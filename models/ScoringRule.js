@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+const levelRuleSchema = new mongoose.Schema({
+  level: { type: String, required: true },      // beginner / intermediate / advance
+  ladder: { type: [Number], required: true },   // diamonds for 1st, 2nd, 3rd ... attempt
+  maxAttempts: { type: Number, required: true },
+}, { _id: false });
+
+// Rule sets are never edited in place: every change is saved as a new
+// version and the highest version is the active one.
+const scoringRuleSchema = new mongoose.Schema({
+  version: { type: Number, required: true, unique: true },
+  levels: { type: [levelRuleSchema], default: [] },
+  note: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+}, { timestamps: true });
+
+export default mongoose.model("ScoringRule", scoringRuleSchema);
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// Institution wide settings, a single document (key "global").
+// Read through utils/settings.js, which fills in the defaults.
+const settingSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, default: "global" },
+  timezone: { type: String },                   // IANA name, e.g. "Asia/Kolkata"
+  pastDatePolicy: {                             // what students may do with dates before today
+    type: String,
+    enum: ["playable", "zero", "locked"]
+  },
+  streakMilestones: {                           // bonus diamonds for streak lengths
+    type: [{ _id: false, days: Number, diamonds: Number }],
+    default: undefined
+  },
+  levelUnlock: {                                // enforced level unlocking, see utils/levels.js
+    type: {
+      _id: false,
+      enforced: Boolean,
+      windowDays: Number,
+      intermediate: { minDays: Number, minFirstTryRate: Number },
+      advance: { minDays: Number, minFirstTryRate: Number }
+    },
+    default: undefined
+  },
+  terms: {                                      // school terms, for leaderboard periods
+    type: [{ _id: false, name: String, from: String, to: String }],
+    default: undefined
+  },
+  rankingMode: {                                // tie handling on leaderboards, see utils/ranking.js
+    type: String,
+    enum: ["competition", "dense", "earliest", "attempts", "firstTry"]
+  },
+  sharedIpCheck: { type: Boolean },             // integrity flags for shared IPs, see utils/integrity.js
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+}, { timestamps: true });
+
+export default mongoose.model("Setting", settingSchema);
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// Materialized leaderboard row: a student's diamonds in one scope,
+// kept up to date by utils/standings.js and rebuilt by rebuildStandings.js.
+const standingSchema = new mongoose.Schema({
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+  className: { type: String },                  // copied from the student, for class boards
+  scope: { type: String, required: true },      // all | day:2025-05-20 | week:2025-05-19 | month:2025-05
+  level: { type: String, required: true },      // all | beginner | intermediate | advanced
+  score: { type: Number, default: 0 },          // sum of StudentQuizProgress.totalDiamonds
+  attempts: { type: Number, default: 0 },       // tie-breaks, see utils/ranking.js
+  firstTry: { type: Number, default: 0 },
+  reachedAt: { type: Date },                    // epoch when nothing was earned yet
+}, { timestamps: true });
+
+standingSchema.index({ studentId: 1, scope: 1, level: 1 }, { unique: true });
+standingSchema.index({ scope: 1, level: 1, score: -1, studentId: 1 });
+standingSchema.index({ scope: 1, level: 1, className: 1, score: -1, studentId: 1 });
+standingSchema.index({ scope: 1, level: 1, score: -1, reachedAt: 1 });
+standingSchema.index({ scope: 1, level: 1, score: -1, attempts: 1 });
+standingSchema.index({ scope: 1, level: 1, score: -1, firstTry: -1 });
+
+export default mongoose.model("Standing", standingSchema);
@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+
+// Bonus diamonds for reaching a streak milestone. One per student,
+// milestone and the date it was reached, which stays the same when
+// streaks are rebuilt, so recalculating never pays twice and never takes
+// a bonus back (see utils/streaks.js).
+const streakBonusSchema = new mongoose.Schema({
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+  milestone: { type: Number, required: true },    // days, e.g. 7
+  reachedOn: { type: String, required: true },    // date the milestone was reached
+  diamonds: { type: Number, required: true },     // as configured when awarded
+}, { timestamps: true });
+
+streakBonusSchema.index({ studentId: 1, milestone: 1, reachedOn: 1 }, { unique: true });
+
+export default mongoose.model("StreakBonus", streakBonusSchema);
@@ -9,6 +9,8 @@ const studentSchema = new mongoose.Schema({
   className: { type: String, required: true },
   password: { type: String, required: true },
   role: { type: String, default: "student" },
+  walletVersion: { type: Number, default: 0 },  // bumped when diamonds are spent, serializes spending
+  unlockedLevels: { type: [String], default: undefined },  // levels unlocked by thresholds, never taken back
 }, { timestamps: true });
 
 export default mongoose.model("Student", studentSchema);
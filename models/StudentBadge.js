@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+// A badge a student earned. `period` is the week start for weekly badges
+// (they can be earned again every week) and "" for one-off badges.
+const studentBadgeSchema = new mongoose.Schema({
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+  ruleId: { type: mongoose.Schema.Types.ObjectId, ref: "BadgeRule", required: true },
+  key: { type: String, required: true },        // BadgeRule.key when earned
+  period: { type: String, default: "" },
+  value: { type: Number },                      // metric value that earned it
+  earnedAt: { type: Date, default: Date.now },
+}, { timestamps: true });
+
+studentBadgeSchema.index({ studentId: 1, ruleId: 1, period: 1 }, { unique: true });
+studentBadgeSchema.index({ studentId: 1, earnedAt: -1 });
+
+export default mongoose.model("StudentBadge", studentBadgeSchema);
@@ -10,16 +10,43 @@ const progressSchema = new mongoose.Schema({
       questionId: String,
       attempts: Number,          // how many tries for this question
       earnedDiamonds: Number,    // 10 / 5 / 3 / 0
-      isCorrect: Boolean
+      isCorrect: Boolean,
+      responses: { type: [mongoose.Schema.Types.Mixed], default: undefined },  // submitted answers, in order
+      hintsUsed: { type: [Number], default: undefined },  // indexes into Quiz.hints
+      hintCost: Number,          // diamonds spent on hints, taken off totalDiamonds
+      lateFrom: Number,          // first attempt that could not earn diamonds (time limit / past date)
+      submissions: {             // one per attempt, replayed for repeated Idempotency-Keys
+        type: [{
+          _id: false,
+          key: String,
+          attempt: Number,
+          isCorrect: Boolean,
+          earnedDiamonds: Number,
+          late: Boolean,
+          elapsedMs: Number,     // since the previous answer of the day, or the first fetch
+          at: Date
+        }],
+        default: undefined
+      }
     }
   ],
 
   totalDiamonds: { type: Number, default: 0 },
   completed: { type: Boolean, default: false },
+  ruleVersion: { type: Number },               // ScoringRule version used for this record
+  startedAt: { type: Date },                   // first fetch, the whole quiz time limit counts from here
+  questionStarts: {                            // per question start (reveal, first hint or attempt), see utils/timing.js
+    type: [{ _id: false, questionId: String, at: Date }],
+    default: undefined
+  },
+  rev: { type: Number },                       // bumped on every write, answers only save over the rev they read
+  voided: { type: Boolean },                   // diamonds voided after an integrity review
+  voidedDiamonds: { type: Number },            // totalDiamonds before the void
 
 }, { timestamps: true });
 
-progressSchema.index({ studentId: 1, date: 1, level: 1 });
+// databases from before this was unique: run dedupeProgress.js first
+progressSchema.index({ studentId: 1, date: 1, level: 1 }, { unique: true });
 progressSchema.index({ studentId: 1 });
 
 export default mongoose.model("StudentQuizProgress", progressSchema);
@@ -0,0 +1,14 @@
+import mongoose from "mongoose";
+
+// Daily participation streak of one student, see utils/streaks.js.
+// Rebuilt from StudentQuizProgress, so it can always be recalculated.
+const studentStreakSchema = new mongoose.Schema({
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true, unique: true },
+  current: { type: Number, default: 0 },        // quiz days in a row, up to today
+  currentStart: { type: String },               // first date of the current streak
+  longest: { type: Number, default: 0 },
+  longestStart: { type: String },
+  lastCompletedDate: { type: String },          // 2025-05-20
+}, { timestamps: true });
+
+export default mongoose.model("StudentStreak", studentStreakSchema);
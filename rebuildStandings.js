@@ -0,0 +1,23 @@
+// backend/rebuildStandings.js
+// Recomputes the leaderboard standings from StudentQuizProgress and
+// reports how many rows had drifted. With --check nothing is written.
+//   node rebuildStandings.js [--check]
+// Deploy step: run it once when first deploying standings (the
+// collection starts out empty, so leaderboards show nobody until then).
+// The server warns on startup while it is empty but progress exists.
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { rebuildStandings } from "./utils/standings.js";
+
+dotenv.config();
+
+const checkOnly = process.argv.includes("--check");
+
+async function run() {
+  await mongoose.connect(process.env.MONGO_URI);
+  const result = await rebuildStandings({ dryRun: checkOnly });
+  console.log(checkOnly ? "Checked" : "Rebuilt", result.students, "students");
+  console.log("created:", result.created, "updated:", result.updated, "removed:", result.removed);
+  process.exit(0);
+}
+run().catch(e=>{ console.error(e); process.exit(1); });
@@ -0,0 +1,21 @@
+// backend/recalculateStreaks.js
+// Rebuilds every student's streak and pays any missing milestone bonus.
+// Safe to run again: bonuses already paid are never changed or repeated.
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Student from "./models/Student.js";
+import { recalculateStreak } from "./utils/streaks.js";
+
+dotenv.config();
+
+async function run() {
+  await mongoose.connect(process.env.MONGO_URI);
+  const students = await Student.find().select("_id").lean();
+  for (const s of students) {
+    const streak = await recalculateStreak(s._id);
+    console.log(String(s._id), "current:", streak.current, "longest:", streak.longest);
+  }
+  console.log("Recalculated", students.length, "students");
+  process.exit(0);
+}
+run().catch(e=>{ console.error(e); process.exit(1); });
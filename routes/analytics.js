@@ -0,0 +1,232 @@
+// backend/routes/analytics.js
+import express from "express";
+import mongoose from "mongoose";
+import auth from "../middleware/auth.js";
+import Quiz from "../models/Quiz.js";
+import Student from "../models/Student.js";
+import StudentQuizProgress from "../models/StudentQuizProgress.js";
+
+const router = express.Router();
+
+/*
+----------------------------------------------------------
+  TOPIC ANALYTICS
+  Built from StudentQuizProgress answers joined to the tags
+  on Quiz.topics. A question with several tags counts once
+  for each of them; untagged questions are grouped as
+  "untagged".
+  Optional query filters on every route: from, to, level
+----------------------------------------------------------
+*/
+
+function isAdmin(user) {
+  return user.role === "admin" || user.role === "superadmin";
+}
+
+function progressMatch(query) {
+  const match = {};
+  if (query.from || query.to) {
+    match.date = {};
+    if (query.from) match.date.$gte = query.from;
+    if (query.to) match.date.$lte = query.to;
+  }
+  if (query.level) match.level = query.level;
+  return match;
+}
+
+/*
+  One row per topic (and per extra group key, e.g. studentId).
+  `groupKey` is an aggregation expression added to the topic key.
+*/
+async function topicStats(match, { groupKey = null, joinStudents = false } = {}) {
+  const pipeline = [
+    { $match: match },
+    { $unwind: "$answers" },
+    { $match: { "answers.attempts": { $gt: 0 } } },
+    {
+      $addFields: {
+        quizId: {
+          $convert: { input: "$answers.questionId", to: "objectId", onError: null, onNull: null },
+        },
+      },
+    },
+    {
+      $lookup: {
+        from: Quiz.collection.name,
+        localField: "quizId",
+        foreignField: "_id",
+        as: "quiz",
+      },
+    },
+    { $unwind: "$quiz" },
+    { $unwind: { path: "$quiz.topics", preserveNullAndEmptyArrays: true } },
+  ];
+
+  if (joinStudents) {
+    pipeline.push(
+      {
+        $lookup: {
+          from: Student.collection.name,
+          localField: "studentId",
+          foreignField: "_id",
+          as: "student",
+        },
+      },
+      { $unwind: "$student" }
+    );
+  }
+
+  pipeline.push(
+    {
+      $group: {
+        _id: {
+          topic: { $ifNull: ["$quiz.topics", "untagged"] },
+          ...(groupKey && { group: groupKey }),
+        },
+        answered: { $sum: 1 },
+        correct: { $sum: { $cond: ["$answers.isCorrect", 1, 0] } },
+        firstTry: {
+          $sum: {
+            $cond: [
+              { $and: ["$answers.isCorrect", { $eq: ["$answers.attempts", 1] }] },
+              1,
+              0,
+            ],
+          },
+        },
+        attempts: { $sum: { $ifNull: ["$answers.attempts", 0] } },
+        diamonds: { $sum: { $ifNull: ["$answers.earnedDiamonds", 0] } },
+      },
+    },
+    { $sort: { "_id.topic": 1 } }
+  );
+
+  const rows = await StudentQuizProgress.aggregate(pipeline);
+
+  return rows.map((r) => ({
+    topic: r._id.topic,
+    ...(groupKey && { group: r._id.group }),
+    answered: r.answered,
+    correct: r.correct,
+    accuracy: Math.round((r.correct / r.answered) * 1000) / 10,
+    firstTryRate: Math.round((r.firstTry / r.answered) * 1000) / 10,
+    avgAttempts: Math.round((r.attempts / r.answered) * 100) / 100,
+    diamonds: r.diamonds,
+  }));
+}
+
+// Rows with a group key -> { [group]: [topic rows] }
+function byGroup(rows) {
+  const out = {};
+  rows.forEach(({ group, ...row }) => {
+    const key = String(group);
+    (out[key] = out[key] || []).push(row);
+  });
+  return out;
+}
+
+/* ======================================================
+   GET /api/analytics/topics/student/:id
+   Students may only read their own
+====================================================== */
+router.get("/topics/student/:id", auth, async (req, res) => {
+  try {
+    const studentId = req.params.id;
+
+    if (!isAdmin(req.user) && String(req.user.userId) !== String(studentId)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(studentId)) {
+      return res.status(400).json({ message: "Invalid student id" });
+    }
+
+    const student = await Student.findById(studentId).select("name email className").lean();
+    if (!student) return res.status(404).json({ message: "Student not found" });
+
+    const topics = await topicStats({
+      ...progressMatch(req.query),
+      studentId: new mongoose.Types.ObjectId(studentId),
+    });
+
+    res.json({ student, topics });
+  } catch (err) {
+    console.error("STUDENT TOPIC ANALYTICS ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/* ======================================================
+   GET /api/analytics/topics/class/:className
+   ?breakdown=student adds per-student rows
+====================================================== */
+router.get("/topics/class/:className", auth, async (req, res) => {
+  try {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    const { className } = req.params;
+    const students = await Student.find({ className }).select("name email").lean();
+    if (!students.length) {
+      return res.status(404).json({ message: "No students in this class" });
+    }
+
+    const match = {
+      ...progressMatch(req.query),
+      studentId: { $in: students.map((s) => s._id) },
+    };
+
+    const topics = await topicStats(match);
+
+    let perStudent;
+    if (req.query.breakdown === "student") {
+      const grouped = byGroup(await topicStats(match, { groupKey: "$studentId" }));
+      perStudent = students.map((s) => ({
+        studentId: s._id,
+        name: s.name,
+        email: s.email,
+        topics: grouped[String(s._id)] || [],
+      }));
+    }
+
+    res.json({
+      className,
+      studentCount: students.length,
+      topics,
+      ...(perStudent && { students: perStudent }),
+    });
+  } catch (err) {
+    console.error("CLASS TOPIC ANALYTICS ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/* ======================================================
+   GET /api/analytics/topics/classes
+   Every class side by side
+====================================================== */
+router.get("/topics/classes", auth, async (req, res) => {
+  try {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    const grouped = byGroup(
+      await topicStats(progressMatch(req.query), {
+        groupKey: "$student.className",
+        joinStudents: true,
+      })
+    );
+
+    const classes = Object.keys(grouped)
+      .sort()
+      .map((className) => ({ className, topics: grouped[className] }));
+
+    res.json({ classes });
+  } catch (err) {
+    console.error("CLASSES TOPIC ANALYTICS ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,162 @@
+// backend/routes/badges.js
+import express from "express";
+import mongoose from "mongoose";
+import BadgeRule from "../models/BadgeRule.js";
+import StudentBadge from "../models/StudentBadge.js";
+import auth from "../middleware/auth.js";
+import requireSuperAdmin from "../middleware/requireSuperAdmin.js";
+import { normalizeLevel } from "../utils/scoring.js";
+import { isDateString } from "../utils/dates.js";
+import {
+  BADGE_METRICS,
+  getBadgeRules,
+  validateBadgeRule,
+  evaluateAllBadges,
+} from "../utils/badges.js";
+
+const router = express.Router();
+
+/*
+----------------------------------------------------------
+  BADGES
+  - GET /rules, GET /student/:id: any logged in user
+    (students only their own badges)
+  - Managing rules and running the job: superadmin
+----------------------------------------------------------
+*/
+
+function isAdmin(user) {
+  return user.role === "admin" || user.role === "superadmin";
+}
+
+// Rule fields of a create/update body
+function ruleFields(body) {
+  const out = {};
+  ["key", "name", "description", "icon", "metric"].forEach((f) => {
+    if (typeof body[f] !== "undefined") out[f] = String(body[f]).trim();
+  });
+  if (typeof body.threshold !== "undefined") out.threshold = Number(body.threshold);
+  if (typeof body.level !== "undefined") out.level = body.level ? normalizeLevel(body.level) : "";
+  if (typeof body.active !== "undefined") out.active = !!body.active;
+  return out;
+}
+
+// Metrics a rule can use, for the admin form
+router.get("/metrics", auth, requireSuperAdmin, async (req, res) => {
+  res.json({ metrics: BADGE_METRICS });
+});
+
+// Badge rules. Students only get the active ones.
+router.get("/rules", auth, async (req, res) => {
+  try {
+    const rules = await getBadgeRules(isAdmin(req.user) ? {} : { active: true });
+    res.json({ rules });
+  } catch (err) {
+    console.error("GET BADGE RULES ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.post("/rules", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const data = ruleFields(req.body);
+    const error = validateBadgeRule(data);
+    if (error) return res.status(400).json({ message: error });
+
+    const rule = await BadgeRule.create({ ...data, createdBy: req.user.userId });
+    res.status(201).json({ rule });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ message: "A badge with this key already exists" });
+    }
+    console.error("CREATE BADGE RULE ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Earned badges keep pointing at the rule, so the key cannot change
+router.put("/rules/:id", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid rule id" });
+    }
+
+    const existing = await BadgeRule.findById(req.params.id).lean();
+    if (!existing) return res.status(404).json({ message: "Badge rule not found" });
+
+    const { key, ...changes } = ruleFields(req.body);
+    const error = validateBadgeRule({ ...existing, ...changes });
+    if (error) return res.status(400).json({ message: error });
+
+    const rule = await BadgeRule.findByIdAndUpdate(req.params.id, changes, { new: true });
+    res.json({ rule });
+  } catch (err) {
+    console.error("UPDATE BADGE RULE ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Deleting a rule keeps the badges already earned, set active: false to retire it
+router.delete("/rules/:id", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid rule id" });
+    }
+    const deleted = await BadgeRule.findByIdAndDelete(req.params.id);
+    if (!deleted) return res.status(404).json({ message: "Badge rule not found" });
+    res.json({ message: "Deleted" });
+  } catch (err) {
+    console.error("DELETE BADGE RULE ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Badges of one student, newest first
+router.get("/student/:id", auth, async (req, res) => {
+  try {
+    const studentId = req.params.id;
+
+    if (!isAdmin(req.user) && String(req.user.userId) !== String(studentId)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(studentId)) {
+      return res.status(400).json({ message: "Invalid student id" });
+    }
+
+    const earned = await StudentBadge.find({ studentId })
+      .sort({ earnedAt: -1 })
+      .populate("ruleId", "key name description icon metric threshold level")
+      .lean();
+
+    const badges = earned.map(({ ruleId, ...b }) => ({
+      ...b,
+      ruleId: ruleId?._id || null,
+      name: ruleId?.name || b.key,
+      description: ruleId?.description || "",
+      icon: ruleId?.icon || "",
+    }));
+
+    res.json({ badges, count: badges.length });
+  } catch (err) {
+    console.error("GET STUDENT BADGES ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// The periodic job on demand. body: { weekStart? }  (Monday, default last week)
+router.post("/evaluate", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { weekStart } = req.body || {};
+    if (weekStart && !isDateString(weekStart)) {
+      return res.status(400).json({ message: "weekStart must be YYYY-MM-DD" });
+    }
+
+    const result = await evaluateAllBadges({ weekStart });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("EVALUATE BADGES ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
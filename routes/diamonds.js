@@ -0,0 +1,103 @@
+// backend/routes/diamonds.js
+import express from "express";
+import mongoose from "mongoose";
+import Student from "../models/Student.js";
+import auth from "../middleware/auth.js";
+import requireSuperAdmin from "../middleware/requireSuperAdmin.js";
+import {
+  LEDGER_TYPES,
+  ledgerBalance,
+  ledgerStatement,
+  recordEntries,
+} from "../utils/ledger.js";
+
+const router = express.Router();
+
+/*
+----------------------------------------------------------
+  DIAMOND LEDGER
+  - Statements: students their own, admins anyone's
+  - Manual adjustments: superadmin
+  Query on statements: page, limit, type
+----------------------------------------------------------
+*/
+
+function isAdmin(user) {
+  return user.role === "admin" || user.role === "superadmin";
+}
+
+async function sendStatement(req, res, studentId) {
+  if (!mongoose.Types.ObjectId.isValid(studentId)) {
+    return res.status(400).json({ message: "Invalid student id" });
+  }
+  if (req.query.type && !LEDGER_TYPES.includes(req.query.type)) {
+    return res.status(400).json({ message: `type must be one of ${LEDGER_TYPES.join(", ")}` });
+  }
+
+  const statement = await ledgerStatement(studentId, req.query);
+  res.json({ studentId, ...statement });
+}
+
+// GET /api/diamonds/statement  — the logged in student
+router.get("/statement", auth, async (req, res) => {
+  try {
+    await sendStatement(req, res, req.user.userId);
+  } catch (err) {
+    console.error("GET STATEMENT ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /api/diamonds/statement/:studentId
+router.get("/statement/:studentId", auth, async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    if (!isAdmin(req.user) && String(req.user.userId) !== String(studentId)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+    await sendStatement(req, res, studentId);
+  } catch (err) {
+    console.error("GET STATEMENT ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// POST /api/diamonds/adjust  body: { studentId, amount, reason }
+router.post("/adjust", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { studentId, reason } = req.body;
+    const amount = Number(req.body.amount);
+
+    if (!mongoose.Types.ObjectId.isValid(studentId)) {
+      return res.status(400).json({ message: "Invalid student id" });
+    }
+    if (!Number.isInteger(amount) || amount === 0) {
+      return res.status(400).json({ message: "amount must be a non-zero whole number" });
+    }
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: "reason is required" });
+    }
+
+    const student = await Student.exists({ _id: studentId });
+    if (!student) return res.status(404).json({ message: "Student not found" });
+
+    await recordEntries([
+      {
+        studentId,
+        type: "admin-adjustment",
+        amount,
+        reason: String(reason).trim(),
+        refType: "admin",
+        refId: req.user.userId,
+        createdBy: req.user.userId,
+      },
+    ]);
+
+    res.status(201).json({ success: true, balance: await ledgerBalance(studentId) });
+  } catch (err) {
+    console.error("DIAMOND ADJUST ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
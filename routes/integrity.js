@@ -0,0 +1,149 @@
+// backend/routes/integrity.js
+import express from "express";
+import mongoose from "mongoose";
+import AnswerEvent from "../models/AnswerEvent.js";
+import IntegrityFlag from "../models/IntegrityFlag.js";
+import auth from "../middleware/auth.js";
+import requireSuperAdmin from "../middleware/requireSuperAdmin.js";
+import { FLAG_TYPES, FLAG_STATUSES, voidDay } from "../utils/integrity.js";
+
+const router = express.Router();
+
+/*
+----------------------------------------------------------
+  ANSWER INTEGRITY (superadmin)
+  Review queue of the flags raised while answering
+  (utils/integrity.js). A flag is dismissed, or the student's
+  diamonds of the flagged date are voided.
+----------------------------------------------------------
+*/
+
+/* ======================================================
+   1) FLAGS, oldest first
+   Query: status (open by default, or all), type, studentId,
+          date, page, limit
+   URL: GET /api/integrity/flags
+====================================================== */
+router.get("/flags", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { status = "open", type, studentId, date, page = 1, limit = 20 } = req.query;
+
+    if (status !== "all" && !FLAG_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be all or one of ${FLAG_STATUSES.join(", ")}` });
+    }
+    if (type && !FLAG_TYPES.includes(type)) {
+      return res.status(400).json({ message: `type must be one of ${FLAG_TYPES.join(", ")}` });
+    }
+    if (studentId && !mongoose.Types.ObjectId.isValid(studentId)) {
+      return res.status(400).json({ message: "Invalid student id" });
+    }
+
+    const filter = {};
+    if (status !== "all") filter.status = status;
+    if (type) filter.type = type;
+    if (studentId) filter.studentId = studentId;
+    if (date) filter.date = date;
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const [flags, total] = await Promise.all([
+      IntegrityFlag.find(filter)
+        .sort({ createdAt: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate("studentId", "name email className")
+        .lean(),
+      IntegrityFlag.countDocuments(filter),
+    ]);
+
+    res.json({ flags, total, page: pageNum, pages: Math.ceil(total / limitNum) });
+  } catch (err) {
+    console.error("GET INTEGRITY FLAGS ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/* ======================================================
+   2) ANSWER LOG of one student and date, for review
+   URL: GET /api/integrity/events/:studentId/:date
+====================================================== */
+router.get("/events/:studentId/:date", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.studentId)) {
+      return res.status(400).json({ message: "Invalid student id" });
+    }
+
+    const events = await AnswerEvent.find({
+      studentId: req.params.studentId,
+      date: req.params.date,
+    })
+      .sort({ at: 1 })
+      .lean();
+
+    res.json({ events });
+  } catch (err) {
+    console.error("GET ANSWER EVENTS ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/* ======================================================
+   3) REVIEW A FLAG
+   body: { action: "dismiss" | "void", note? }
+   Voiding closes every open flag of the same student + date.
+   URL: POST /api/integrity/flags/:id/review
+====================================================== */
+router.post("/flags/:id/review", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid flag id" });
+    }
+
+    const { action, note = "" } = req.body;
+    if (!["dismiss", "void"].includes(action)) {
+      return res.status(400).json({ message: "action must be dismiss or void" });
+    }
+
+    const flag = await IntegrityFlag.findById(req.params.id).lean();
+    if (!flag) {
+      return res.status(404).json({ message: "Flag not found" });
+    }
+    if (flag.status !== "open") {
+      return res.status(409).json({ message: `Flag already ${flag.status}` });
+    }
+
+    const review = { note: String(note).trim(), reviewedBy: req.user.userId, reviewedAt: new Date() };
+
+    if (action === "dismiss") {
+      const updated = await IntegrityFlag.findByIdAndUpdate(
+        flag._id,
+        { $set: { ...review, status: "dismissed" } },
+        { new: true }
+      ).lean();
+      return res.json({ flag: updated });
+    }
+
+    const voidedDiamonds = await voidDay(flag.studentId, flag.date, {
+      by: req.user.userId,
+      note: review.note,
+    });
+
+    await IntegrityFlag.updateMany(
+      { studentId: flag.studentId, date: flag.date, status: "open" },
+      { $set: { ...review, status: "voided" } }
+    );
+    const updated = await IntegrityFlag.findByIdAndUpdate(
+      flag._id,
+      { $set: { voidedDiamonds } },
+      { new: true }
+    ).lean();
+
+    res.json({ flag: updated, voidedDiamonds });
+  } catch (err) {
+    console.error("REVIEW INTEGRITY FLAG ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
@@ -3,256 +3,212 @@ import mongoose from "mongoose";
 import auth from "../middleware/auth.js";
 import Student from "../models/Student.js";
 import StudentQuizProgress from "../models/StudentQuizProgress.js";
-import ExcelJS from "exceljs";
+import { streakSummary } from "../utils/streaks.js";
+import { getSettings } from "../utils/settings.js";
+import { todayString, isDateString } from "../utils/dates.js";
+import {
+  PERIODS,
+  periodRange,
+  levelKey,
+  leaderboardRows,
+  studentRanks,
+} from "../utils/leaderboard.js";
+import {
+  standingScope,
+  standingsPage,
+  scopeRanks,
+  boardRanks,
+} from "../utils/standings.js";
+import { rankingMode } from "../utils/ranking.js";
+import {
+  REPORT_FORMATS,
+  REPORT_SHEETS,
+  reportProgress,
+  buildReport,
+  writeReport,
+} from "../utils/report.js";
 
 const router = express.Router();
 
 /* ======================================================
    GET /api/leaderboard
+   Query: period=all|day|week|month|term|custom (+ date, term,
+          from, to, see utils/leaderboard.js), level, className,
+          ranking (utils/ranking.js), page, perPage
 ====================================================== */
 router.get("/", auth, async (req, res) => {
   try {
     const pageReq = Math.max(1, parseInt(req.query.page || "1", 10));
-    const perPage = Math.max(1, parseInt(req.query.perPage || "10", 10));
+    const perPage = Math.min(100, Math.max(1, parseInt(req.query.perPage || "10", 10)));
+    const { className, level } = req.query;
 
-    const agg = await StudentQuizProgress.aggregate([
-      {
-        $group: {
-          _id: "$studentId",
-          total: { $sum: { $ifNull: ["$totalDiamonds", 0] } },
-        },
-      },
-      { $sort: { total: -1 } },
-      {
-        $lookup: {
-          from: "students",
-          localField: "_id",
-          foreignField: "_id",
-          as: "student",
-        },
-      },
-      { $unwind: "$student" },
-      {
-        $project: {
-          studentId: { $toString: "$_id" },
-          name: { $ifNull: ["$student.name", "$student.email"] },
-          email: "$student.email",
-          score: "$total",
-        },
-      },
-    ]);
+    if (level && !levelKey(level)) {
+      return res.status(400).json({ message: "level must be beginner, intermediate or advanced" });
+    }
+
+    const settings = await getSettings();
+    const range = periodRange(req.query, todayString(new Date(), settings.timezone), settings.terms);
+    const mode = rankingMode(req.query.ranking, settings.rankingMode);
+
+    // classes can get different questions, ?className= ranks within one class
+    const scope = standingScope(range);
+    const board = { scope, level: level ? levelKey(level) : "all", className };
+    const fetchPage = (skip, limit) =>
+      scope
+        ? standingsPage(board, { skip, limit, mode })
+        : leaderboardRows({ ...range, level, className }, { skip, limit, mode });
 
-    const leaderboard = agg.map((r, i) => ({ ...r, rank: i + 1 }));
+    const page = await fetchPage((pageReq - 1) * perPage, perPage);
+    const top3 = pageReq === 1 ? page.rows.slice(0, 3) : (await fetchPage(0, 3)).rows;
 
     res.json({
-      top3: leaderboard.slice(0, 3),
-      totalCount: leaderboard.length,
+      period: range,
+      ranking: mode,
+      level: level ? levelKey(level) : null,
+      className: className || null,
+      top3,
+      totalCount: page.total,
       page: pageReq,
       perPage,
-      pageList: leaderboard.slice(
-        (pageReq - 1) * perPage,
-        pageReq * perPage
-      ),
+      pageList: page.rows,
     });
   } catch (err) {
     console.error("LEADERBOARD ERROR:", err);
-    res.status(500).json({ message: "Server error" });
+    res.status(err.status || 500).json({ message: err.status ? err.message : "Server error" });
   }
 });
 
 /* ======================================================
    GET /api/leaderboard/summary/:id
+   `ranks` has the student's rank per period (all, day, week,
+   month and the current term when there is one), each overall,
+   within their class and per level
 ====================================================== */
 router.get("/summary/:id", auth, async (req, res) => {
   try {
     const studentId = req.params.id;
 
-    const student = await Student.findById(studentId).select("name email");
+    const student = await Student.findById(studentId).select("name email className");
     if (!student) return res.status(404).json({ message: "Student not found" });
 
-    const levelAgg = await StudentQuizProgress.aggregate([
-      { $match: { studentId: new mongoose.Types.ObjectId(studentId) } },
-      {
-        $group: {
-          _id: "$level",
-          total: { $sum: { $ifNull: ["$totalDiamonds", 0] } },
-        },
-      },
-    ]);
-
-    const levels = { beginner: 0, intermediate: 0, advanced: 0 };
-
-    levelAgg.forEach((r) => {
-      const lvl = r._id.toLowerCase();
-      if (lvl.startsWith("begin")) levels.beginner += r.total;
-      else if (lvl.startsWith("inter")) levels.intermediate += r.total;
-      else if (lvl.startsWith("adv")) levels.advanced += r.total;
-    });
-
-    const overall =
-      levels.beginner + levels.intermediate + levels.advanced;
+    const { timezone, terms, rankingMode: defaultMode } = await getSettings();
+    const today = todayString(new Date(), timezone);
+    const mode = rankingMode(req.query.ranking, defaultMode);
+    const ranks = {};
+    for (const period of PERIODS.filter((p) => p !== "custom")) {
+      let range;
+      try {
+        range = periodRange({ period }, today, terms);
+      } catch {
+        continue; // no term covers today
+      }
+      const scope = standingScope(range);
+      ranks[period] = {
+        ...range,
+        ...(scope
+          ? await scopeRanks(studentId, student.className, scope, mode)
+          : await studentRanks(studentId, student.className, range, mode)),
+      };
+    }
 
-    const rankAgg = await StudentQuizProgress.aggregate([
-      {
-        $group: {
-          _id: "$studentId",
-          total: { $sum: { $ifNull: ["$totalDiamonds", 0] } },
-        },
-      },
-      { $sort: { total: -1 } },
-    ]);
+    // all-time totals and rank, read from the standings
+    const levels = {
+      beginner: ranks.all.levels.beginner.total,
+      intermediate: ranks.all.levels.intermediate.total,
+      advanced: ranks.all.levels.advanced.total,
+    };
+    const overall = levels.beginner + levels.intermediate + levels.advanced;
+    const rank = ranks.all.overall.rank;
 
-    let rank = null;
-    rankAgg.forEach((r, i) => {
-      if (String(r._id) === String(studentId)) rank = i + 1;
-    });
+    // streak bonuses are kept out of the level totals and rank
+    const streak = await streakSummary(studentId);
 
     res.json({
       student: {
         id: studentId,
         name: student.name,
         email: student.email,
+        className: student.className,
       },
       levels,
       overall,
       rank,
+      ranking: mode,
+      ranks,
+      streak,
     });
   } catch (err) {
     console.error("SUMMARY ERROR:", err);
-    res.status(500).json({ message: "Server error" });
+    res.status(err.status || 500).json({ message: err.status ? err.message : "Server error" });
   }
 });
 
 /* ======================================================
-   GET /api/leaderboard/report  (EXCEL WITH SUMMARY)
+   GET /api/leaderboard/report  (EXCEL / CSV / PDF)
+   Query: from, to (YYYY-MM-DD), className, level,
+          format=xlsx|csv|pdf, sheet=detail|students|classes
+          (csv only, default students), ranking as above
+   Sheets and averages: see utils/report.js. Ranks are for the
+   same filters: the standings without a date range, the
+   aggregated range otherwise.
 ====================================================== */
 router.get("/report", auth, async (req, res) => {
   try {
-    const raw = await StudentQuizProgress.aggregate([
-      {
-        $group: {
-          _id: {
-            studentId: "$studentId",
-            date: "$date",
-            level: "$level",
-          },
-          score: { $sum: { $ifNull: ["$totalDiamonds", 0] } },
-        },
-      },
-      {
-        $lookup: {
-          from: "students",
-          localField: "_id.studentId",
-          foreignField: "_id",
-          as: "student",
-        },
-      },
-      { $unwind: "$student" },
-    ]);
+    const { from = "", to = "", className = "", level = "", format = "xlsx", sheet = "students" } = req.query;
 
-    const map = {};
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be ${REPORT_FORMATS.join(", ")}` });
+    }
+    if (!REPORT_SHEETS.includes(sheet)) {
+      return res.status(400).json({ message: `sheet must be ${REPORT_SHEETS.join(", ")}` });
+    }
+    if ((from && !isDateString(from)) || (to && !isDateString(to))) {
+      return res.status(400).json({ message: "from/to must be YYYY-MM-DD" });
+    }
+    if (from && to && from > to) {
+      return res.status(400).json({ message: "from must not be after to" });
+    }
+    if (level && !levelKey(level)) {
+      return res.status(400).json({ message: "level must be beginner, intermediate or advanced" });
+    }
 
-    raw.forEach((r) => {
-      const sid = String(r._id.studentId);
-      if (!map[sid]) {
-        map[sid] = {
-          name: r.student.name,
-          email: r.student.email,
-          dates: {},
-          summary: {
-            bT: 0, bD: 0,
-            iT: 0, iD: 0,
-            aT: 0, aD: 0,
-          },
-        };
-      }
+    const { rankingMode: defaultMode } = await getSettings();
+    const mode = rankingMode(req.query.ranking, defaultMode);
+    const filters = { from, to, level, className };
 
-      if (!map[sid].dates[r._id.date]) {
-        map[sid].dates[r._id.date] = { b: 0, i: 0, a: 0 };
-      }
+    const ranked = from || to
+      ? (await leaderboardRows(filters, { limit: Infinity, mode })).rows
+      : await boardRanks({ scope: "all", level: level ? levelKey(level) : "all", className }, mode);
+    const rankById = Object.fromEntries(ranked.map((r) => [String(r.studentId), r.rank]));
 
-      const lvl = r._id.level.toLowerCase();
-      if (lvl.startsWith("begin")) {
-        map[sid].dates[r._id.date].b += r.score;
-        map[sid].summary.bT += r.score;
-        map[sid].summary.bD++;
-      } else if (lvl.startsWith("inter")) {
-        map[sid].dates[r._id.date].i += r.score;
-        map[sid].summary.iT += r.score;
-        map[sid].summary.iD++;
-      } else if (lvl.startsWith("adv")) {
-        map[sid].dates[r._id.date].a += r.score;
-        map[sid].summary.aT += r.score;
-        map[sid].summary.aD++;
-      }
-    });
+    const report = buildReport(await reportProgress(filters), rankById);
 
-    const wb = new ExcelJS.Workbook();
-    const ws = wb.addWorksheet("Leaderboard");
-
-    ws.columns = [
-      { header: "Name", key: "name", width: 25 },
-      { header: "Email", key: "email", width: 30 },
-      { header: "Date", key: "date", width: 15 },
-      { header: "Beginner", key: "b", width: 15 },
-      { header: "Intermediate", key: "i", width: 15 },
-      { header: "Advanced", key: "a", width: 15 },
-      { header: "Total", key: "t", width: 15 },
-    ];
-
-    Object.values(map).forEach((s) => {
-      Object.entries(s.dates).forEach(([d, v]) => {
-        ws.addRow({
-          name: s.name,
-          email: s.email,
-          date: d,
-          b: v.b,
-          i: v.i,
-          a: v.a,
-          t: v.b + v.i + v.a,
-        });
-      });
-    });
+    const scope = [
+      from || to ? `${from || "start"} to ${to || "today"}` : "All dates",
+      className && `class ${className}`,
+      level && levelKey(level),
+      `ranking: ${mode}`,
+    ].filter(Boolean);
 
-    ws.addRow({});
-    ws.addRow({ name: "STUDENT AVERAGE SUMMARY" });
-    ws.addRow({
-      name: "Name",
-      b: "Avg Beginner",
-      i: "Avg Intermediate",
-      a: "Avg Advanced",
-      t: "Overall Avg",
+    const file = await writeReport(report, format, {
+      sheet,
+      heading: { title: "Leaderboard report", subtitle: scope.join(" · ") },
     });
 
-    Object.values(map).forEach((s) => {
-      const ab = s.summary.bT / (s.summary.bD || 1);
-      const ai = s.summary.iT / (s.summary.iD || 1);
-      const aa = s.summary.aT / (s.summary.aD || 1);
-      const overall = (ab + ai + aa) / 3;
-
-      ws.addRow({
-        name: s.name,
-        b: ab.toFixed(2),
-        i: ai.toFixed(2),
-        a: aa.toFixed(2),
-        t: overall.toFixed(2),
-      });
-    });
+    const name = ["leaderboard", from, to, className, level && levelKey(level), format === "csv" && sheet]
+      .filter(Boolean)
+      .join("-")
+      .replace(/[^\w.-]+/g, "_");
 
-    res.setHeader(
-      "Content-Type",
-      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
-    );
+    res.setHeader("Content-Type", file.contentType);
     res.setHeader(
       "Content-Disposition",
-      "attachment; filename=leaderboard.xlsx"
+      `attachment; filename=${name}.${file.extension}`
     );
-
-    await wb.xlsx.write(res);
-    res.end();
+    res.send(file.buffer);
   } catch (err) {
     console.error("REPORT ERROR:", err);
-    res.status(500).json({ message: "Report failed" });
+    res.status(err.status || 500).json({ message: err.status ? err.message : "Report failed" });
   }
 });
 
@@ -0,0 +1,56 @@
+// backend/routes/levels.js
+import express from "express";
+import mongoose from "mongoose";
+import Student from "../models/Student.js";
+import auth from "../middleware/auth.js";
+import { recommendLevel } from "../utils/levels.js";
+
+const router = express.Router();
+
+/*
+----------------------------------------------------------
+  LEVEL RECOMMENDATION
+  Next level for a student with a short rationale, plus the
+  levels unlocked so far (utils/levels.js). Unlocking is only
+  enforced while settings.levelUnlock.enforced is on.
+----------------------------------------------------------
+*/
+
+// The logged in student
+router.get("/recommendation", auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.user.userId)) {
+      return res.status(400).json({ message: "Missing user" });
+    }
+    const recommendation = await recommendLevel(req.user.userId);
+    res.json({ recommendation });
+  } catch (err) {
+    console.error("LEVEL RECOMMENDATION ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Any student, admin + superadmin
+router.get("/recommendation/:studentId", auth, async (req, res) => {
+  try {
+    if (req.user.role !== "admin" && req.user.role !== "superadmin") {
+      return res.status(403).json({ message: "Access denied" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.studentId)) {
+      return res.status(400).json({ message: "Invalid student id" });
+    }
+
+    const student = await Student.findById(req.params.studentId).select("name className").lean();
+    if (!student) {
+      return res.status(404).json({ message: "Student not found" });
+    }
+
+    const recommendation = await recommendLevel(student._id);
+    res.json({ student, recommendation });
+  } catch (err) {
+    console.error("LEVEL RECOMMENDATION ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,257 @@
+// backend/routes/practice.js
+import express from "express";
+import mongoose from "mongoose";
+import Quiz from "../models/Quiz.js";
+import Student from "../models/Student.js";
+import PracticeAnswer from "../models/PracticeAnswer.js";
+import auth from "../middleware/auth.js";
+import { gradeAnswer, solution, hideAnswerKey } from "../utils/questionTypes.js";
+import { studentQuizFilter, publishedFilter, classFilter } from "../utils/publishing.js";
+import { institutionToday } from "../utils/settings.js";
+import { earnableQuestionIds } from "../utils/scoring.js";
+import { levelLock } from "../utils/levels.js";
+
+const router = express.Router();
+
+/*
+----------------------------------------------------------
+  PRACTICE MODE
+  Any published quiz before today can be replayed, one question
+  at a time once it can no longer earn the student diamonds
+  (canStillEarn in utils/scoring.js). Under the "playable" past
+  date policy that is once their own answer is locked. Answers
+  are graded and counted in PracticeAnswer only: no diamonds,
+  no ledger entries, no effect on completion, streaks or the
+  leaderboard. Hints are not available in practice.
+----------------------------------------------------------
+*/
+
+async function studentClassName(userId) {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+  const student = await Student.findById(userId).select("className").lean();
+  return student?.className || null;
+}
+
+function accuracy(correct, attempts) {
+  return attempts ? Math.round((correct / attempts) * 1000) / 10 : 0;
+}
+
+/* ======================================================
+   Past dates that can be practised, newest first
+   URL: GET /api/practice/dates?level=&limit=30
+====================================================== */
+router.get("/dates", auth, async (req, res) => {
+  try {
+    const className = await studentClassName(req.user.userId);
+    const today = await institutionToday();
+    const now = new Date();
+    const limit = Math.min(365, Math.max(1, parseInt(req.query.limit || "30", 10)));
+
+    const match = {
+      date: { $lt: today },
+      $and: [publishedFilter(now, today), classFilter(className)],
+    };
+    if (req.query.level) match.level = req.query.level;
+
+    const dates = await Quiz.aggregate([
+      { $match: match },
+      { $group: { _id: { date: "$date", level: "$level" }, questions: { $sum: 1 } } },
+      { $sort: { "_id.date": -1, "_id.level": 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, date: "$_id.date", level: "$_id.level", questions: 1 } },
+    ]);
+
+    res.json({ dates });
+  } catch (err) {
+    console.error("PRACTICE DATES ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/* ======================================================
+   Practice accuracy of the logged in student
+   URL: GET /api/practice/stats
+====================================================== */
+router.get("/stats", auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.user.userId)) {
+      return res.status(400).json({ message: "Missing user" });
+    }
+
+    const rows = await PracticeAnswer.aggregate([
+      { $match: { studentId: new mongoose.Types.ObjectId(req.user.userId) } },
+      {
+        $group: {
+          _id: "$level",
+          questions: { $sum: 1 },
+          attempts: { $sum: "$attempts" },
+          correct: { $sum: "$correct" },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    const levels = rows.map((r) => ({
+      level: r._id,
+      questions: r.questions,
+      attempts: r.attempts,
+      correct: r.correct,
+      accuracy: accuracy(r.correct, r.attempts),
+    }));
+
+    const attempts = levels.reduce((sum, l) => sum + l.attempts, 0);
+    const correct = levels.reduce((sum, l) => sum + l.correct, 0);
+
+    res.json({
+      overall: {
+        questions: levels.reduce((sum, l) => sum + l.questions, 0),
+        attempts,
+        correct,
+        accuracy: accuracy(correct, attempts),
+      },
+      levels,
+    });
+  } catch (err) {
+    console.error("PRACTICE STATS ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/* ======================================================
+   Questions of a past quiz, answer keys hidden. stillInQuiz
+   counts the ones left out because they can still earn.
+   URL: GET /api/practice/:date/:level
+====================================================== */
+router.get("/:date/:level", auth, async (req, res) => {
+  try {
+    const { date, level } = req.params;
+    const userId = req.user.userId;
+    const today = await institutionToday();
+
+    if (!(date < today)) {
+      return res.status(403).json({ message: "Only past quizzes can be practised" });
+    }
+
+    const lock = await levelLock(req.user, level);
+    if (lock) {
+      return res.status(403).json({ message: lock.message, levelLocked: true, requirement: lock.requirement });
+    }
+
+    const className = await studentClassName(userId);
+    const quizDocs = await Quiz.find(studentQuizFilter({ date, level, className, today }))
+      .select("type question options correctIndex correctIndices numericAnswer tolerance acceptedAnswers imageUrl explanation")
+      .lean();
+
+    const isStudent = mongoose.Types.ObjectId.isValid(userId);
+    const practiced = isStudent
+      ? await PracticeAnswer.find({ studentId: userId, date, level }).lean()
+      : [];
+    const byQuestion = Object.fromEntries(practiced.map((p) => [String(p.questionId), p]));
+
+    // questions that still pay in the daily quiz are left out
+    const earnable = isStudent
+      ? await earnableQuestionIds(userId, date, level, quizDocs, today)
+      : new Set();
+
+    const questions = quizDocs.filter((q) => !earnable.has(String(q._id))).map((q) => {
+      const p = byQuestion[String(q._id)];
+      return {
+        ...hideAnswerKey(q),
+        type: q.type || "single",
+        practice: {
+          attempts: p?.attempts || 0,
+          correct: p?.correct || 0,
+          lastCorrect: !!p?.lastCorrect,
+        },
+      };
+    });
+
+    res.json({ date, level, practice: true, questions, stillInQuiz: earnable.size });
+  } catch (err) {
+    console.error("PRACTICE QUIZ ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Two first answers at once both upsert, the one that loses on the
+// unique index is applied again to the document the other created
+async function savePractice(filter, update) {
+  const save = () => PracticeAnswer.findOneAndUpdate(filter, update, { upsert: true, new: true }).lean();
+  try {
+    return await save();
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return save();
+  }
+}
+
+/* ======================================================
+   Grade a practice answer
+   body: { questionId, date, level, answer }
+   URL: POST /api/practice/answer
+====================================================== */
+router.post("/answer", auth, async (req, res) => {
+  try {
+    const { questionId, date, level, answer } = req.body;
+    const userId = req.user.userId;
+
+    if (!questionId || !date || !level || typeof answer === "undefined") {
+      return res.status(400).json({ message: "Missing parameters" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(questionId) || !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid questionId" });
+    }
+
+    const today = await institutionToday();
+    if (!(date < today)) {
+      return res.status(403).json({ message: "Only past quizzes can be practised" });
+    }
+
+    const lock = await levelLock(req.user, level);
+    if (lock) {
+      return res.status(403).json({ message: lock.message, levelLocked: true, requirement: lock.requirement });
+    }
+
+    const className = await studentClassName(userId);
+    const quiz = await Quiz.findOne({
+      _id: questionId,
+      ...studentQuizFilter({ date, level, className, today }),
+    }).lean();
+    if (!quiz) {
+      return res.status(404).json({ message: "Question not found" });
+    }
+
+    const earnable = await earnableQuestionIds(userId, date, level, [quiz], today);
+    if (earnable.has(String(quiz._id))) {
+      return res.status(403).json({ message: "This question can still be answered in its daily quiz" });
+    }
+
+    const grade = gradeAnswer(quiz, answer);
+    if (grade.error) {
+      return res.status(400).json({ message: grade.error });
+    }
+
+    const practice = await savePractice(
+      { studentId: userId, questionId },
+      {
+        $inc: { attempts: 1, correct: grade.isCorrect ? 1 : 0 },
+        $set: { lastCorrect: grade.isCorrect, lastAnsweredAt: new Date() },
+        $setOnInsert: { date, level },
+      }
+    );
+
+    res.json({
+      practice: true,
+      isCorrect: grade.isCorrect,
+      ...(grade.isCorrect && solution(quiz)),
+      attempts: practice.attempts,
+      correct: practice.correct,
+      accuracy: accuracy(practice.correct, practice.attempts),
+    });
+  } catch (err) {
+    console.error("PRACTICE ANSWER ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,462 @@
+// backend/routes/questionBank.js
+import express from "express";
+import mongoose from "mongoose";
+import BankQuestion from "../models/BankQuestion.js";
+import Quiz from "../models/Quiz.js";
+import auth from "../middleware/auth.js";
+import requireSuperAdmin from "../middleware/requireSuperAdmin.js";
+import uploadQuizImage from "../middleware/uploadQuizImage.js";
+import { normalizeLevel, parseScoring } from "../utils/scoring.js";
+import {
+  parseQuestionFields,
+  unusedTypeFields,
+  parseClassNames,
+  parseExplanation,
+  parseHints,
+} from "../utils/questionTypes.js";
+import { isDateString, addDays, dateRange } from "../utils/dates.js";
+import { institutionToday } from "../utils/settings.js";
+
+const router = express.Router();
+
+const LEVELS = ["beginner", "intermediate", "advance"];
+const DEFAULT_PER_DAY = 5;
+const DEFAULT_REPEAT_WINDOW_DAYS = 60;
+const MAX_AUTO_FILL_DAYS = 62;
+
+/*
+----------------------------------------------------------
+  QUESTION BANK
+  Bank questions are not tied to a date. Scheduling copies a
+  bank question into a Quiz document for one date + level
+  (Quiz.bankQuestionId links back), so student routes keep
+  reading Quiz as before.
+  - GET routes: admin + superadmin
+  - Everything else: superadmin
+----------------------------------------------------------
+*/
+
+function requireAdmin(req, res, next) {
+  if (req.user.role !== "admin" && req.user.role !== "superadmin") {
+    return res.status(403).json({ message: "Access denied" });
+  }
+  next();
+}
+
+const COPIED_FIELDS = [
+  "options", "correctIndex", "correctIndices", "numericAnswer", "tolerance",
+  "acceptedAnswers", "imageUrl", "explanation", "hints",
+];
+
+// Quiz document for one scheduled date
+function toScheduledQuiz(bq, date, level, classNames) {
+  const quiz = {
+    date,
+    level,
+    type: bq.type || "single",
+    question: bq.question,
+    bankQuestionId: bq._id,
+  };
+  COPIED_FIELDS.forEach((f) => {
+    if (typeof bq[f] !== "undefined" && bq[f] !== null) quiz[f] = bq[f];
+  });
+  if (bq.topic) quiz.topics = [bq.topic.toLowerCase()];
+  if (classNames?.length) quiz.classNames = classNames;
+  if (bq.scoring?.ladder?.length) quiz.scoring = bq.scoring;
+  return quiz;
+}
+
+// GET bank questions (search, topic, level, paging)
+router.get("/", auth, requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search = "", topic = "", level = "" } = req.query;
+
+    const queryObj = {};
+    if (search) {
+      queryObj.$or = [
+        { question: { $regex: search, $options: "i" } },
+        { topic: { $regex: search, $options: "i" } },
+      ];
+    }
+    if (topic) queryObj.topic = String(topic).trim().toLowerCase();
+    if (level) queryObj.level = normalizeLevel(level);
+
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.max(1, parseInt(limit));
+
+    const total = await BankQuestion.countDocuments(queryObj);
+    const questions = await BankQuestion.find(queryObj)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean();
+
+    // when each question was last / next scheduled
+    const usage = await Quiz.aggregate([
+      { $match: { bankQuestionId: { $in: questions.map((q) => q._id) } } },
+      {
+        $group: {
+          _id: "$bankQuestionId",
+          timesScheduled: { $sum: 1 },
+          firstDate: { $min: "$date" },
+          lastDate: { $max: "$date" },
+        },
+      },
+    ]);
+    const usageMap = Object.fromEntries(usage.map((u) => [String(u._id), u]));
+
+    res.json({
+      success: true,
+      questions: questions.map((q) => ({
+        ...q,
+        timesScheduled: usageMap[String(q._id)]?.timesScheduled || 0,
+        lastScheduledDate: usageMap[String(q._id)]?.lastDate || null,
+      })),
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+    });
+  } catch (err) {
+    console.error("GET BANK QUESTIONS ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Distinct topics for filters
+router.get("/topics", auth, requireAdmin, async (req, res) => {
+  try {
+    const topics = (await BankQuestion.distinct("topic")).filter(Boolean).sort();
+    res.json({ topics });
+  } catch (err) {
+    console.error("GET BANK TOPICS ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Per date + level question counts between from and to (default: next 14 days)
+router.get("/schedule", auth, requireAdmin, async (req, res) => {
+  try {
+    const from = req.query.from || (await institutionToday());
+    const to = req.query.to || addDays(from, 13);
+    if (!isDateString(from) || !isDateString(to)) {
+      return res.status(400).json({ message: "from/to must be YYYY-MM-DD" });
+    }
+
+    const agg = await Quiz.aggregate([
+      { $match: { date: { $gte: from, $lte: to } } },
+      {
+        $group: {
+          _id: { date: "$date", level: "$level" },
+          total: { $sum: 1 },
+          fromBank: { $sum: { $cond: [{ $ifNull: ["$bankQuestionId", false] }, 1, 0] } },
+        },
+      },
+      { $sort: { "_id.date": 1, "_id.level": 1 } },
+    ]);
+
+    const schedule = dateRange(from, to).map((date) => ({
+      date,
+      levels: agg
+        .filter((r) => r._id.date === date)
+        .map((r) => ({ level: r._id.level, total: r.total, fromBank: r.fromBank })),
+    }));
+
+    res.json({ from, to, schedule });
+  } catch (err) {
+    console.error("GET SCHEDULE ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// CREATE bank question
+router.post(
+  "/",
+  auth,
+  requireSuperAdmin,
+  uploadQuizImage.single("image"), // optional
+  async (req, res) => {
+    try {
+      const { question, topic = "", level } = req.body;
+
+      if (!LEVELS.includes(normalizeLevel(level))) {
+        return res.status(400).json({ message: `level must be one of ${LEVELS.join(", ")}` });
+      }
+
+      const data = {
+        question,
+        topic: String(topic).trim().toLowerCase(),
+        level: normalizeLevel(level),
+        createdBy: req.user.userId,
+        ...parseQuestionFields(req.body, "single"),
+      };
+
+      const scoring = parseScoring(req.body.scoring);
+      if (scoring) data.scoring = scoring;
+
+      const explanation = parseExplanation(req.body.explanation);
+      if (explanation) data.explanation = explanation;
+
+      const hints = parseHints(req.body.hints);
+      if (hints?.length) data.hints = hints;
+
+      if (req.file) {
+        data.imageUrl = req.file.path;
+      } else if (req.body.imageUrl) {
+        data.imageUrl = req.body.imageUrl;
+      }
+
+      const created = await BankQuestion.create(data);
+      res.status(201).json({ question: created });
+    } catch (err) {
+      console.error("CREATE BANK QUESTION ERROR:", err);
+      res.status(err.status || 500).json({ message: err.message });
+    }
+  }
+);
+
+// UPDATE bank question. Dates it was already scheduled on keep their copy.
+router.put(
+  "/:id",
+  auth,
+  requireSuperAdmin,
+  uploadQuizImage.single("image"), // optional
+  async (req, res) => {
+    try {
+      const existing = await BankQuestion.findById(req.params.id).lean();
+      if (!existing) {
+        return res.status(404).json({ message: "Bank question not found" });
+      }
+
+      const fields = parseQuestionFields(req.body, existing.type || "single");
+      const data = { question: req.body.question, ...fields };
+
+      if (typeof req.body.topic !== "undefined") {
+        data.topic = String(req.body.topic).trim().toLowerCase();
+      }
+      if (typeof req.body.level !== "undefined") {
+        if (!LEVELS.includes(normalizeLevel(req.body.level))) {
+          return res.status(400).json({ message: `level must be one of ${LEVELS.join(", ")}` });
+        }
+        data.level = normalizeLevel(req.body.level);
+      }
+
+      const unset = {};
+      unusedTypeFields(fields.type).forEach((f) => {
+        unset[f] = 1;
+      });
+
+      const scoring = parseScoring(req.body.scoring);
+      if (scoring === null) unset.scoring = 1;
+      else if (scoring) data.scoring = scoring;
+
+      const explanation = parseExplanation(req.body.explanation);
+      if (explanation === "") unset.explanation = 1;
+      else if (explanation) data.explanation = explanation;
+
+      const hints = parseHints(req.body.hints);
+      if (hints && !hints.length) unset.hints = 1;
+      else if (hints) data.hints = hints;
+
+      if (req.file) data.imageUrl = req.file.path;
+      data.$unset = unset;
+
+      const updated = await BankQuestion.findByIdAndUpdate(req.params.id, data, { new: true });
+      res.json({ question: updated });
+    } catch (err) {
+      console.error("UPDATE BANK QUESTION ERROR:", err);
+      res.status(err.status || 500).json({ message: err.message });
+    }
+  }
+);
+
+// DELETE bank question (scheduled copies stay)
+router.delete("/:id", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const deleted = await BankQuestion.findByIdAndDelete(req.params.id);
+    if (!deleted) return res.status(404).json({ message: "Bank question not found" });
+    res.json({ message: "Deleted" });
+  } catch (err) {
+    console.error("DELETE BANK QUESTION ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// SCHEDULE one bank question on a date
+// body: { date, level?, classNames? }  (level defaults to the bank question's level)
+router.post("/:id/schedule", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { date } = req.body;
+    if (!isDateString(date)) {
+      return res.status(400).json({ message: "date must be YYYY-MM-DD" });
+    }
+
+    const bq = await BankQuestion.findById(req.params.id).lean();
+    if (!bq) return res.status(404).json({ message: "Bank question not found" });
+
+    const level = normalizeLevel(req.body.level || bq.level);
+    if (!LEVELS.includes(level)) {
+      return res.status(400).json({ message: `level must be one of ${LEVELS.join(", ")}` });
+    }
+
+    const already = await Quiz.exists({ bankQuestionId: bq._id, date, level });
+    if (already) {
+      return res.status(400).json({ message: "Already scheduled on that date" });
+    }
+
+    const created = await Quiz.create(
+      toScheduledQuiz(bq, date, level, parseClassNames(req.body.classNames))
+    );
+    res.status(201).json({ question: created });
+  } catch (err) {
+    console.error("SCHEDULE BANK QUESTION ERROR:", err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/*
+  AUTO-FILL empty upcoming dates from the bank
+  body: {
+    from, to          default tomorrow .. tomorrow + 6
+    levels            default all levels
+    perDay            questions per date + level (default 5)
+    topic             only use bank questions of this topic
+    classNames        target the new questions at these classes
+    repeatWindowDays  a question is not reused within this many days
+                      of a date it was scheduled on (default 60)
+    dryRun            preview only
+  }
+  Dates that already have questions for a level are left alone.
+  Least recently used questions are picked first.
+*/
+router.post("/auto-fill", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const today = await institutionToday();
+    const from = req.body.from || addDays(today, 1);
+    const to = req.body.to || addDays(from, 6);
+    const levels = Array.isArray(req.body.levels) && req.body.levels.length
+      ? [...new Set(req.body.levels.map(normalizeLevel))]
+      : LEVELS;
+    const perDay = Number(req.body.perDay ?? DEFAULT_PER_DAY);
+    const windowDays = Number(req.body.repeatWindowDays ?? DEFAULT_REPEAT_WINDOW_DAYS);
+    const dryRun = !!req.body.dryRun;
+    const classNames = parseClassNames(req.body.classNames);
+
+    if (!isDateString(from) || !isDateString(to) || from > to) {
+      return res.status(400).json({ message: "from/to must be YYYY-MM-DD with from <= to" });
+    }
+    if (levels.some((l) => !LEVELS.includes(l))) {
+      return res.status(400).json({ message: `levels must be among ${LEVELS.join(", ")}` });
+    }
+    if (!Number.isInteger(perDay) || perDay < 1) {
+      return res.status(400).json({ message: "perDay must be a whole number of at least 1" });
+    }
+    if (!Number.isInteger(windowDays) || windowDays < 0) {
+      return res.status(400).json({ message: "repeatWindowDays must be a whole number of 0 or more" });
+    }
+    if (from <= today) {
+      return res.status(400).json({ message: "Auto-fill only works on upcoming dates" });
+    }
+
+    const dates = dateRange(from, to);
+    if (dates.length > MAX_AUTO_FILL_DAYS) {
+      return res.status(400).json({ message: `At most ${MAX_AUTO_FILL_DAYS} days per run` });
+    }
+
+    const bankFilter = {};
+    if (req.body.topic) bankFilter.topic = String(req.body.topic).trim().toLowerCase();
+    const bank = await BankQuestion.find(bankFilter).sort({ createdAt: 1 }).lean();
+
+    // every date each bank question is (or will be) scheduled on
+    const usedDates = {};
+    const scheduled = await Quiz.find(
+      {
+        bankQuestionId: { $in: bank.map((b) => b._id) },
+        date: { $gte: addDays(from, -windowDays), $lte: addDays(to, windowDays) },
+      },
+      { bankQuestionId: 1, date: 1 }
+    ).lean();
+    scheduled.forEach((q) => {
+      const id = String(q.bankQuestionId);
+      (usedDates[id] = usedDates[id] || []).push(q.date);
+    });
+
+    const lastUsed = {};
+    const lastAgg = await Quiz.aggregate([
+      { $match: { bankQuestionId: { $in: bank.map((b) => b._id) } } },
+      { $group: { _id: "$bankQuestionId", last: { $max: "$date" } } },
+    ]);
+    lastAgg.forEach((r) => {
+      lastUsed[String(r._id)] = r.last;
+    });
+
+    const filled = [];
+    const skipped = [];
+    const shortfalls = [];
+    const toInsert = [];
+
+    for (const date of dates) {
+      // levels of the date in any spelling ("Advanced", "advance", ...)
+      const takenLevels = new Set((await Quiz.distinct("level", { date })).map(normalizeLevel));
+      for (const level of levels) {
+        if (takenLevels.has(level)) {
+          skipped.push({ date, level, reason: "already has questions" });
+          continue;
+        }
+
+        const lo = addDays(date, -windowDays);
+        const hi = addDays(date, windowDays);
+
+        const picks = bank
+          .filter((b) => normalizeLevel(b.level) === level)
+          .filter((b) => !(usedDates[String(b._id)] || []).some((d) => d >= lo && d <= hi))
+          .sort((a, b) =>
+            (lastUsed[String(a._id)] || "").localeCompare(lastUsed[String(b._id)] || "")
+          )
+          .slice(0, perDay);
+
+        picks.forEach((b) => {
+          const id = String(b._id);
+          (usedDates[id] = usedDates[id] || []).push(date);
+          if (!lastUsed[id] || lastUsed[id] < date) lastUsed[id] = date;
+          toInsert.push(toScheduledQuiz(b, date, level, classNames));
+        });
+
+        if (picks.length) {
+          filled.push({ date, level, questionIds: picks.map((b) => b._id), count: picks.length });
+        }
+        if (picks.length < perDay) {
+          shortfalls.push({ date, level, missing: perDay - picks.length });
+        }
+      }
+    }
+
+    if (!dryRun && toInsert.length) {
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          await Quiz.insertMany(toInsert, { session, ordered: true });
+        });
+      } finally {
+        await session.endSession();
+      }
+    }
+
+    res.json({
+      success: true,
+      dryRun,
+      from,
+      to,
+      perDay,
+      repeatWindowDays: windowDays,
+      created: dryRun ? 0 : toInsert.length,
+      filled,
+      skipped,
+      shortfalls,
+    });
+  } catch (err) {
+    console.error("AUTO-FILL ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
@@ -1,9 +1,38 @@
 // backend/routes/quiz.js
 import express from "express";
+import mongoose from "mongoose";
 import Quiz from "../models/Quiz.js";
+import QuizRevision from "../models/QuizRevision.js";
 import auth from "../middleware/auth.js";
 import requireSuperAdmin from "../middleware/requireSuperAdmin.js";
 import uploadQuizImage from "../middleware/uploadQuizImage.js";
+import uploadQuizSheet from "../middleware/uploadQuizSheet.js";
+import { parseScoring } from "../utils/scoring.js";
+import {
+  QUIZ_STATUSES,
+  validatePublishing,
+  isPublished,
+  classFilter,
+  targetsClass,
+} from "../utils/publishing.js";
+import {
+  parseQuestionFields,
+  unusedTypeFields,
+  hideAnswerKey,
+  parseTopics,
+  parseClassNames,
+  parseExplanation,
+  parseHints,
+} from "../utils/questionTypes.js";
+import { regradeQuestion } from "../utils/regrade.js";
+import { LATE_ANSWER_POLICIES, parseTimeLimit } from "../utils/timing.js";
+import { institutionToday } from "../utils/settings.js";
+import {
+  sheetFormat,
+  readQuizSheet,
+  validateQuizRow,
+  writeQuizSheet,
+} from "../utils/quizSheet.js";
 
 const router = express.Router();
 
@@ -21,15 +50,32 @@ router.get("/admin/questions", auth, async (req, res) => {
       return res.status(403).json({ message: "Access denied" });
     }
 
-    const { page = 1, limit = 10, search = "", date = "", startDate = "", endDate = "", sortBy = "newest" } = req.query;
+    const { page = 1, limit = 10, search = "", date = "", startDate = "", endDate = "", sortBy = "newest", status = "", topic = "", className = "" } = req.query;
 
     const queryObj = {};
 
+    // ?topic=fractions,decimals matches questions tagged with any of them
+    const topicList = parseTopics(topic);
+    if (topicList.length) {
+      queryObj.topics = { $in: topicList };
+    }
+
+    if (status) {
+      // questions saved before statuses existed count as scheduled
+      queryObj.status = status === "scheduled" ? { $in: ["scheduled", null] } : status;
+    }
+
+    // ?className=A1 lists what that class gets: its own and all-class questions
+    if (className) {
+      queryObj.$and = [classFilter(className)];
+    }
+
     if (search) {
       queryObj.$or = [
         { question: { $regex: search, $options: "i" } },
         { level: { $regex: search, $options: "i" } },
-        { date: { $regex: search, $options: "i" } }
+        { date: { $regex: search, $options: "i" } },
+        { topics: { $regex: search, $options: "i" } }
       ];
     }
 
@@ -72,6 +118,432 @@ router.get("/admin/questions", auth, async (req, res) => {
   }
 });
 
+// status / publishAt of a create/update body. An empty publishAt clears it,
+// setting publishAt without a status means "scheduled".
+function parsePublishing(body) {
+  const { status } = body;
+  const hasPublishAt = typeof body.publishAt !== "undefined";
+  const publishAt = hasPublishAt && body.publishAt ? new Date(body.publishAt) : null;
+
+  const error = validatePublishing({ status, publishAt: body.publishAt });
+  if (error) {
+    const err = new Error(error);
+    err.status = 400;
+    throw err;
+  }
+
+  const out = {};
+  if (status) out.status = status;
+  if (hasPublishAt) {
+    out.publishAt = publishAt;
+    if (publishAt && !status) out.status = "scheduled";
+  }
+  return out;
+}
+
+const REVISION_FIELDS = [
+  "question", "type", "options", "correctIndex", "correctIndices", "numericAnswer",
+  "tolerance", "acceptedAnswers", "imageUrl", "explanation", "hints", "topics", "classNames",
+  "scoring", "status", "publishAt", "timeLimitSeconds", "quizTimeLimitSeconds", "lateAnswerPolicy",
+];
+
+// anything that changes how already submitted answers score
+const REGRADE_FIELDS = [
+  "type", "correctIndex", "correctIndices", "numericAnswer", "tolerance",
+  "acceptedAnswers", "scoring",
+];
+
+function comparable(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "undefined" || value === null) return null;
+  if (Array.isArray(value) && !value.length) return null;
+  return JSON.parse(JSON.stringify(value));
+}
+
+// Field by field diff of two lean quiz documents
+function diffQuiz(before, after) {
+  return REVISION_FIELDS
+    .map((field) => ({
+      field,
+      from: comparable(before[field]),
+      to: comparable(after[field]),
+    }))
+    .filter((c) => JSON.stringify(c.from) !== JSON.stringify(c.to));
+}
+
+const MAX_REVISION_TRIES = 5;
+
+// Saves the next revision of a question. The number is read, then
+// inserted under the unique (quizId, revision) index, so a parallel
+// edit that took the same number is retried with the next one.
+async function recordRevision(quizId, changes, user) {
+  for (let tries = 1; ; tries++) {
+    const last = await QuizRevision.findOne({ quizId })
+      .sort({ revision: -1 })
+      .select("revision")
+      .lean();
+    try {
+      return await QuizRevision.create({
+        quizId,
+        revision: (last?.revision || 0) + 1,
+        editedBy: user.userId,
+        editorEmail: user.email,
+        changes,
+        answerKeyChanged: changes.some((c) => REGRADE_FIELDS.includes(c.field)),
+      });
+    } catch (err) {
+      if (err.code !== 11000 || tries >= MAX_REVISION_TRIES) throw err;
+    }
+  }
+}
+
+// Multer errors (wrong file type, too large) as JSON instead of the default HTML page
+function handleSheetUpload(req, res, next) {
+  uploadQuizSheet.single("file")(req, res, (err) => {
+    if (err) return res.status(400).json({ message: err.message });
+    next();
+  });
+}
+
+const MAX_IMPORT_ROWS = 2000;
+
+// BULK IMPORT from .xlsx / .csv
+// ?dryRun=true validates and previews without writing anything.
+// All rows are written in one transaction, a file with any bad row writes nothing.
+router.post(
+  "/import",
+  auth,
+  requireSuperAdmin,
+  handleSheetUpload,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: "No file uploaded" });
+      }
+
+      const dryRun = ["1", "true", "yes"].includes(
+        String(req.query.dryRun ?? req.body.dryRun ?? "").toLowerCase()
+      );
+
+      let rows;
+      try {
+        rows = await readQuizSheet(req.file.buffer, sheetFormat(req.file.originalname));
+      } catch (parseErr) {
+        return res.status(400).json({ message: `Could not read file: ${parseErr.message}` });
+      }
+
+      if (!rows.length) {
+        return res.status(400).json({ message: "No question rows found" });
+      }
+      if (rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ message: `Too many rows (max ${MAX_IMPORT_ROWS})` });
+      }
+
+      const seen = new Map();
+      const report = rows.map(({ row, values }) => {
+        const { data, errors } = validateQuizRow(values);
+
+        if (!errors.length) {
+          const key = `${data.date}|${data.level}|${data.question.toLowerCase()}`;
+          if (seen.has(key)) errors.push(`duplicate of row ${seen.get(key)}`);
+          else seen.set(key, row);
+        }
+
+        return { row, ok: !errors.length, errors, question: data };
+      });
+
+      const errorCount = report.filter((r) => !r.ok).length;
+      const summary = {
+        dryRun,
+        totalRows: rows.length,
+        validRows: rows.length - errorCount,
+        errorCount,
+        rows: report,
+      };
+
+      if (dryRun) {
+        return res.json({ success: errorCount === 0, imported: 0, ...summary });
+      }
+
+      if (errorCount) {
+        return res.status(400).json({
+          success: false,
+          message: "Import rejected, fix the rows listed and upload again",
+          imported: 0,
+          ...summary,
+        });
+      }
+
+      const session = await mongoose.startSession();
+      let created = [];
+      try {
+        await session.withTransaction(async () => {
+          created = await Quiz.insertMany(
+            report.map((r) => r.question),
+            { session, ordered: true }
+          );
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      res.status(201).json({ success: true, imported: created.length, ...summary });
+    } catch (err) {
+      console.error("IMPORT ERROR:", err);
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+// EXPORT questions for a date range
+// GET /api/quiz/export?from=&to=&level=&format=xlsx|csv|json
+// The file can be fed back into POST /import unchanged.
+router.get("/export", auth, async (req, res) => {
+  try {
+    if (req.user.role !== "admin" && req.user.role !== "superadmin") {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    const { from = "", to = "", level = "", format = "xlsx" } = req.query;
+
+    if (!["xlsx", "csv", "json"].includes(format)) {
+      return res.status(400).json({ message: "format must be xlsx, csv or json" });
+    }
+
+    const isDate = (d) => /^\d{4}-\d{2}-\d{2}$/.test(d);
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      return res.status(400).json({ message: "from/to must be YYYY-MM-DD" });
+    }
+
+    const queryObj = {};
+    if (from || to) {
+      queryObj.date = {};
+      if (from) queryObj.date.$gte = from;
+      if (to) queryObj.date.$lte = to;
+    }
+    if (level) {
+      queryObj.level = level;
+    }
+
+    const questions = await Quiz.find(queryObj)
+      .sort({ date: 1, level: 1, createdAt: 1 })
+      .lean();
+
+    const file = await writeQuizSheet(questions, format, {
+      filters: { from: from || null, to: to || null, level: level || null },
+    });
+
+    const name = ["quiz-export", from, to, level].filter(Boolean).join("-");
+
+    res.setHeader("Content-Type", file.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename=${name}.${file.extension}`
+    );
+    res.send(file.buffer);
+  } catch (err) {
+    console.error("EXPORT ERROR:", err);
+    res.status(500).json({ message: "Export failed" });
+  }
+});
+
+// PREVIEW a date + level the way students will get it, drafts included
+router.get("/preview/:date/:level", auth, async (req, res) => {
+  try {
+    if (req.user.role !== "admin" && req.user.role !== "superadmin") {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    const { date, level } = req.params;
+    const { className = "" } = req.query;
+    const now = new Date();
+    const today = await institutionToday(now);
+
+    // ?className=A1 previews exactly what that class gets
+    const filter = { date, level };
+    if (className) Object.assign(filter, classFilter(className));
+
+    const docs = await Quiz.find(filter).sort({ createdAt: 1 }).lean();
+    const questions = docs.map((q) => ({
+      ...hideAnswerKey(q),
+      type: q.type || "single",
+      status: q.status || "scheduled",
+      visibleToStudents: isPublished(q, now, today) && (!className || targetsClass(q, className)),
+    }));
+
+    res.json({
+      date,
+      level,
+      questions,
+      visibleCount: questions.filter((q) => q.visibleToStudents).length,
+    });
+  } catch (err) {
+    console.error("PREVIEW ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// SET status for every question of a date (optionally one level)
+// body: { date, level?, status, publishAt? }
+router.post("/status", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { date, level } = req.body;
+
+    if (!date || !req.body.status) {
+      return res.status(400).json({ message: "date and status required" });
+    }
+    if (!QUIZ_STATUSES.includes(req.body.status)) {
+      return res.status(400).json({ message: `status must be one of ${QUIZ_STATUSES.join(", ")}` });
+    }
+
+    const update = parsePublishing(req.body);
+    const filter = { date };
+    if (level) filter.level = level;
+
+    const result = await Quiz.updateMany(filter, { $set: update });
+    res.json({ success: true, matched: result.matchedCount, modified: result.modifiedCount });
+  } catch (err) {
+    console.error("STATUS UPDATE ERROR:", err);
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// BULK time limit for a whole date (+ level)
+// body: { date, level?, seconds, lateAnswers? }  — seconds 0 removes the limit
+router.post("/time-limit", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { date, level, lateAnswers } = req.body;
+
+    if (!date || typeof req.body.seconds === "undefined") {
+      return res.status(400).json({ message: "date and seconds required" });
+    }
+    if (lateAnswers && !LATE_ANSWER_POLICIES.includes(lateAnswers)) {
+      return res.status(400).json({ message: `lateAnswers must be one of ${LATE_ANSWER_POLICIES.join(", ")}` });
+    }
+
+    const seconds = parseTimeLimit(req.body.seconds);
+    const update = seconds
+      ? { $set: { quizTimeLimitSeconds: seconds } }
+      : { $unset: { quizTimeLimitSeconds: 1 } };
+    if (lateAnswers) {
+      update.$set = { ...update.$set, lateAnswerPolicy: lateAnswers };
+    }
+
+    const filter = { date };
+    if (level) filter.level = level;
+
+    const before = await Quiz.find(filter).lean();
+    const result = await Quiz.updateMany({ _id: { $in: before.map((q) => q._id) } }, update);
+
+    // a revision per question, these change how its answers are accepted
+    const after = await Quiz.find({ _id: { $in: before.map((q) => q._id) } }).lean();
+    const afterById = Object.fromEntries(after.map((q) => [String(q._id), q]));
+    for (const quiz of before) {
+      const updated = afterById[String(quiz._id)];
+      const changes = updated ? diffQuiz(quiz, updated) : [];
+      if (changes.length) await recordRevision(quiz._id, changes, req.user);
+    }
+
+    res.json({ success: true, matched: result.matchedCount, modified: result.modifiedCount });
+  } catch (err) {
+    console.error("TIME LIMIT UPDATE ERROR:", err);
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// REVISION history of a question, newest first
+router.get("/:id/revisions", auth, async (req, res) => {
+  try {
+    if (req.user.role !== "admin" && req.user.role !== "superadmin") {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid question id" });
+    }
+
+    const revisions = await QuizRevision.find({ quizId: req.params.id })
+      .sort({ revision: -1 })
+      .lean();
+    res.json({ revisions });
+  } catch (err) {
+    console.error("REVISIONS ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// REGRADE progress that answered this question against its current key
+// body: { dryRun?, revisionId? }  — revisionId gets the summary stamped on it
+router.post("/:id/regrade", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid question id" });
+    }
+
+    if (req.body.revisionId && !mongoose.Types.ObjectId.isValid(req.body.revisionId)) {
+      return res.status(400).json({ message: "Invalid revisionId" });
+    }
+
+    const quiz = await Quiz.findById(req.params.id).lean();
+    if (!quiz) return res.status(404).json({ message: "Question not found" });
+
+    const dryRun = !!req.body.dryRun;
+    const result = await regradeQuestion(quiz, { dryRun });
+
+    if (!dryRun) {
+      const revisionFilter = req.body.revisionId
+        ? { _id: req.body.revisionId, quizId: quiz._id }
+        : { quizId: quiz._id };
+      await QuizRevision.findOneAndUpdate(
+        revisionFilter,
+        {
+          regradedAt: new Date(),
+          regradedBy: req.user.userId,
+          regradeSummary: {
+            progressChecked: result.progressChecked,
+            progressChanged: result.progressChanged,
+            diamondDelta: result.diamondDelta,
+            notRegradable: result.notRegradable,
+            conflicts: result.conflicts,
+          },
+        },
+        { sort: { revision: -1 } }
+      );
+    }
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("REGRADE ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// SET target classes for every question of a date (optionally one level)
+// body: { date, level?, classNames }  — an empty list opens it to every class
+router.post("/targeting", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { date, level } = req.body;
+    const classNames = parseClassNames(req.body.classNames);
+
+    if (!date || !classNames) {
+      return res.status(400).json({ message: "date and classNames required" });
+    }
+
+    const filter = { date };
+    if (level) filter.level = level;
+
+    const update = classNames.length
+      ? { $set: { classNames } }
+      : { $unset: { classNames: 1 } };
+
+    const result = await Quiz.updateMany(filter, update);
+    res.json({ success: true, matched: result.matchedCount, modified: result.modifiedCount });
+  } catch (err) {
+    console.error("TARGETING UPDATE ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 // GET questions by date & level
 router.get("/:date/:level", auth, requireSuperAdmin, async (req, res) => {
   try {
@@ -91,27 +563,47 @@ router.post(
   uploadQuizImage.single("image"), // optional
   async (req, res) => {
     try {
-      let {
-        question,
-        date,
-        level,
-        options,
-        correctIndex,
-      } = req.body;
-
-      // OLD: options comes as string
-      if (typeof options === "string") {
-        options = JSON.parse(options);
-      }
+      const { question, date, level } = req.body;
 
+      // OLD: options comes as string (handled by parseQuestionFields)
       const data = {
         question,
         date,
         level,
-        options,
-        correctIndex: Number(correctIndex),
+        ...parseQuestionFields(req.body, "single"),
+        ...parsePublishing(req.body),
       };
 
+      const topics = parseTopics(req.body.topics);
+      if (topics?.length) {
+        data.topics = topics;
+      }
+
+      const classNames = parseClassNames(req.body.classNames);
+      if (classNames?.length) {
+        data.classNames = classNames;
+      }
+
+      const scoring = parseScoring(req.body.scoring);
+      if (scoring) {
+        data.scoring = scoring;
+      }
+
+      const explanation = parseExplanation(req.body.explanation);
+      if (explanation) {
+        data.explanation = explanation;
+      }
+
+      const hints = parseHints(req.body.hints);
+      if (hints?.length) {
+        data.hints = hints;
+      }
+
+      const timeLimit = parseTimeLimit(req.body.timeLimitSeconds);
+      if (timeLimit) {
+        data.timeLimitSeconds = timeLimit;
+      }
+
       // OLD: image upload
       if (req.file) {
         data.imageUrl = req.file.path;
@@ -121,7 +613,7 @@ router.post(
       res.json({ question: created });
     } catch (err) {
       console.error("CREATE ERROR:", err);
-      res.status(500).json({ message: err.message });
+      res.status(err.status || 500).json({ message: err.message });
     }
   }
 );
@@ -134,18 +626,69 @@ router.put(
   uploadQuizImage.single("image"), // optional
   async (req, res) => {
     try {
-      let { question, options, correctIndex } = req.body;
-
-      if (typeof options === "string") {
-        options = JSON.parse(options);
+      const existing = await Quiz.findById(req.params.id).lean();
+      if (!existing) {
+        return res.status(404).json({ message: "Question not found" });
       }
 
+      const fields = parseQuestionFields(req.body, existing.type || "single");
       const data = {
-        question,
-        options,
-        correctIndex: Number(correctIndex),
+        question: req.body.question,
+        ...fields,
+        ...parsePublishing(req.body),
       };
 
+      const topics = parseTopics(req.body.topics);
+      if (topics) {
+        data.topics = topics;
+      }
+
+      const classNames = parseClassNames(req.body.classNames);
+      if (classNames) {
+        data.classNames = classNames;
+      }
+
+      // drop answer-key fields left over from a previous type
+      const unset = {};
+      unusedTypeFields(fields.type).forEach((f) => {
+        unset[f] = 1;
+      });
+
+      const scoring = parseScoring(req.body.scoring);
+      if (scoring === null) {
+        unset.scoring = 1;
+      } else if (scoring) {
+        data.scoring = scoring;
+      }
+
+      const explanation = parseExplanation(req.body.explanation);
+      if (explanation === "") {
+        unset.explanation = 1;
+      } else if (explanation) {
+        data.explanation = explanation;
+      }
+
+      const hints = parseHints(req.body.hints);
+      if (hints && !hints.length) {
+        unset.hints = 1;
+      } else if (hints) {
+        data.hints = hints;
+      }
+
+      const timeLimit = parseTimeLimit(req.body.timeLimitSeconds);
+      if (timeLimit === null) {
+        unset.timeLimitSeconds = 1;
+      } else if (timeLimit) {
+        data.timeLimitSeconds = timeLimit;
+      }
+
+      if (data.publishAt === null) {
+        delete data.publishAt;
+        unset.publishAt = 1;
+      }
+
+      data.$unset = unset;
+
       if (req.file) {
         data.imageUrl = req.file.path;
       }
@@ -155,11 +698,25 @@ router.put(
         data,
         { new: true }
       );
+      // deleted while the edit was on its way
+      if (!updated) {
+        return res.status(404).json({ message: "Question not found" });
+      }
+
+      const changes = diffQuiz(existing, updated.toObject());
+      const revision = changes.length
+        ? await recordRevision(existing._id, changes, req.user)
+        : null;
 
-      res.json({ question: updated });
+      res.json({
+        question: updated,
+        revision,
+        // the admin UI offers POST /:id/regrade when this is true
+        answerKeyChanged: !!revision?.answerKeyChanged,
+      });
     } catch (err) {
       console.error("UPDATE ERROR:", err);
-      res.status(500).json({ message: err.message });
+      res.status(err.status || 500).json({ message: err.message });
     }
   }
 );
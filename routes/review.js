@@ -0,0 +1,155 @@
+// backend/routes/review.js
+import express from "express";
+import mongoose from "mongoose";
+import Quiz from "../models/Quiz.js";
+import ReviewItem from "../models/ReviewItem.js";
+import auth from "../middleware/auth.js";
+import { gradeAnswer, solution, hideAnswerKey } from "../utils/questionTypes.js";
+import { syncReviewQueue, nextReview, REVIEW_INTERVALS } from "../utils/review.js";
+import { earnableQuestionIds } from "../utils/scoring.js";
+import { institutionToday } from "../utils/settings.js";
+
+const router = express.Router();
+
+/*
+----------------------------------------------------------
+  REVIEW QUEUE
+  Questions the student got wrong or needed several tries on,
+  brought back on a spaced-repetition schedule (utils/review.js).
+  The queue is topped up from StudentQuizProgress on every read.
+----------------------------------------------------------
+*/
+
+const QUESTION_FIELDS =
+  "type question options correctIndex correctIndices numericAnswer tolerance acceptedAnswers imageUrl explanation";
+
+function studentId(req) {
+  return mongoose.Types.ObjectId.isValid(req.user?.userId) ? req.user.userId : null;
+}
+
+/* ======================================================
+   1) DUE ITEMS, oldest due first
+   URL: GET /api/review/due?limit=20
+====================================================== */
+router.get("/due", auth, async (req, res) => {
+  try {
+    const userId = studentId(req);
+    if (!userId) {
+      return res.status(403).json({ message: "Only students have a review queue" });
+    }
+
+    const today = await institutionToday();
+    const added = await syncReviewQueue(userId, today);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || "20", 10)));
+
+    const dueFilter = { studentId: userId, mastered: false, dueDate: { $lte: today } };
+    const [items, due, upcoming, mastered] = await Promise.all([
+      ReviewItem.find(dueFilter).sort({ dueDate: 1, createdAt: 1 }).limit(limit).lean(),
+      ReviewItem.countDocuments(dueFilter),
+      ReviewItem.countDocuments({ studentId: userId, mastered: false, dueDate: { $gt: today } }),
+      ReviewItem.countDocuments({ studentId: userId, mastered: true }),
+    ]);
+
+    const quizzes = await Quiz.find({ _id: { $in: items.map((i) => i.questionId) } })
+      .select(QUESTION_FIELDS)
+      .lean();
+    const quizById = Object.fromEntries(quizzes.map((q) => [String(q._id), q]));
+
+    // questions deleted since they were queued are skipped
+    const reviews = items
+      .filter((i) => quizById[String(i.questionId)])
+      .map((i) => {
+        const quiz = quizById[String(i.questionId)];
+        return {
+          _id: i._id,
+          date: i.date,
+          level: i.level,
+          reason: i.reason,
+          step: i.step,
+          dueDate: i.dueDate,
+          reviews: i.reviews,
+          question: { ...hideAnswerKey(quiz), type: quiz.type || "single" },
+        };
+      });
+
+    res.json({ today, added, counts: { due, upcoming, mastered }, reviews });
+  } catch (err) {
+    console.error("GET REVIEW DUE ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/* ======================================================
+   2) RECORD A REVIEW
+   body: { answer } — graded on the server like the quiz
+   URL: POST /api/review/:id
+====================================================== */
+router.post("/:id", auth, async (req, res) => {
+  try {
+    const userId = studentId(req);
+    if (!userId) {
+      return res.status(403).json({ message: "Only students have a review queue" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid review id" });
+    }
+    if (typeof req.body.answer === "undefined") {
+      return res.status(400).json({ message: "Missing answer" });
+    }
+
+    const item = await ReviewItem.findOne({ _id: req.params.id, studentId: userId }).lean();
+    if (!item) {
+      return res.status(404).json({ message: "Review item not found" });
+    }
+
+    const today = await institutionToday();
+    if (item.mastered || item.dueDate > today) {
+      return res.status(400).json({ message: "This question is not due for review" });
+    }
+
+    const quiz = await Quiz.findById(item.questionId).lean();
+    if (!quiz) {
+      return res.status(404).json({ message: "Question not found" });
+    }
+
+    // the past date policy may have changed since the item was queued:
+    // no grading or answer key while the daily quiz still pays for it
+    const earnable = await earnableQuestionIds(userId, item.date, item.level, [quiz], today);
+    if (earnable.has(String(quiz._id))) {
+      return res.status(403).json({ message: "This question can still be answered in its daily quiz" });
+    }
+
+    const grade = gradeAnswer(quiz, req.body.answer);
+    if (grade.error) {
+      return res.status(400).json({ message: grade.error });
+    }
+
+    // only saved over the state that was read, a double submit counts once
+    const schedule = nextReview(item, grade.isCorrect, today);
+    const updated = await ReviewItem.findOneAndUpdate(
+      { _id: item._id, reviews: item.reviews },
+      {
+        $set: { ...schedule, lastReviewedAt: new Date() },
+        $inc: { reviews: 1, lapses: grade.isCorrect ? 0 : 1 },
+      },
+      { new: true }
+    ).lean();
+    if (!updated) {
+      return res.status(409).json({ message: "This review was already recorded" });
+    }
+
+    res.json({
+      isCorrect: grade.isCorrect,
+      ...solution(quiz),
+      step: updated.step,
+      dueDate: updated.mastered ? null : updated.dueDate,
+      intervalDays: updated.mastered ? null : REVIEW_INTERVALS[updated.step],
+      mastered: updated.mastered,
+    });
+  } catch (err) {
+    console.error("RECORD REVIEW ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,353 @@
+// backend/routes/rewards.js
+import express from "express";
+import mongoose from "mongoose";
+import Reward from "../models/Reward.js";
+import Redemption from "../models/Redemption.js";
+import auth from "../middleware/auth.js";
+import requireSuperAdmin from "../middleware/requireSuperAdmin.js";
+import { ledgerBalance, recordEntries, lockWallet } from "../utils/ledger.js";
+
+const router = express.Router();
+
+/*
+----------------------------------------------------------
+  REWARDS
+  - Catalogue: students see what they can redeem now,
+    superadmins manage items
+  - Redeeming takes the price off the diamond ledger and one
+    item off the stock in a single transaction
+  - Fulfilment queue: admin + superadmin
+      pending  -> approved | rejected
+      approved -> fulfilled | rejected
+    rejecting refunds the diamonds and puts the item back
+----------------------------------------------------------
+*/
+
+const REDEMPTION_STATUSES = ["pending", "approved", "fulfilled", "rejected"];
+
+const NEXT_STATUSES = {
+  pending: ["approved", "rejected"],
+  approved: ["fulfilled", "rejected"],
+  fulfilled: [],
+  rejected: [],
+};
+
+function isAdmin(user) {
+  return user.role === "admin" || user.role === "superadmin";
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Mongo filter for items a student can redeem at `now`
+function availableFilter(now) {
+  return {
+    active: true,
+    $and: [
+      { $or: [{ availableFrom: null }, { availableFrom: { $lte: now } }] },
+      { $or: [{ availableUntil: null }, { availableUntil: { $gte: now } }] },
+      { $or: [{ stock: null }, { stock: { $gt: 0 } }] },
+    ],
+  };
+}
+
+// Catalogue fields of a create/update body. Throws a 400 error when invalid.
+function rewardFields(body) {
+  const out = {};
+  ["name", "description", "imageUrl"].forEach((f) => {
+    if (typeof body[f] !== "undefined") out[f] = String(body[f] ?? "").trim();
+  });
+
+  if (typeof body.price !== "undefined") {
+    out.price = Number(body.price);
+    if (!Number.isInteger(out.price) || out.price < 1) {
+      throw httpError(400, "price must be a whole number of diamonds");
+    }
+  }
+
+  if (typeof body.stock !== "undefined") {
+    out.stock = body.stock === null || body.stock === "" ? null : Number(body.stock);
+    if (out.stock !== null && (!Number.isInteger(out.stock) || out.stock < 0)) {
+      throw httpError(400, "stock must be a whole number, or null for unlimited");
+    }
+  }
+
+  ["availableFrom", "availableUntil"].forEach((f) => {
+    if (typeof body[f] === "undefined") return;
+    out[f] = body[f] ? new Date(body[f]) : null;
+    if (out[f] && Number.isNaN(out[f].getTime())) throw httpError(400, `${f} must be a date`);
+  });
+  if (out.availableFrom && out.availableUntil && out.availableFrom > out.availableUntil) {
+    throw httpError(400, "availableFrom must be before availableUntil");
+  }
+
+  if (typeof body.active !== "undefined") out.active = !!body.active;
+  return out;
+}
+
+/* ======================================================
+   CATALOGUE
+   URL: GET /api/rewards   (admins: ?all=true for everything)
+====================================================== */
+router.get("/", auth, async (req, res) => {
+  try {
+    const filter = isAdmin(req.user) && req.query.all === "true" ? {} : availableFilter(new Date());
+    const rewards = await Reward.find(filter).sort({ price: 1, createdAt: -1 }).lean();
+
+    const balance = isAdmin(req.user) ? undefined : await ledgerBalance(req.user.userId);
+    res.json({ rewards, ...(typeof balance !== "undefined" && { balance }) });
+  } catch (err) {
+    console.error("GET REWARDS ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.post("/", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const data = rewardFields(req.body);
+    if (!data.name) return res.status(400).json({ message: "name is required" });
+    if (typeof data.price === "undefined") return res.status(400).json({ message: "price is required" });
+
+    const reward = await Reward.create({ ...data, createdBy: req.user.userId });
+    res.status(201).json({ reward });
+  } catch (err) {
+    console.error("CREATE REWARD ERROR:", err);
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+router.put("/:id", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid reward id" });
+    }
+    const reward = await Reward.findByIdAndUpdate(req.params.id, rewardFields(req.body), { new: true });
+    if (!reward) return res.status(404).json({ message: "Reward not found" });
+    res.json({ reward });
+  } catch (err) {
+    console.error("UPDATE REWARD ERROR:", err);
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Items with redemptions are only deactivated, their history stays readable
+router.delete("/:id", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid reward id" });
+    }
+
+    if (await Redemption.exists({ rewardId: req.params.id })) {
+      const reward = await Reward.findByIdAndUpdate(req.params.id, { active: false }, { new: true });
+      if (!reward) return res.status(404).json({ message: "Reward not found" });
+      return res.json({ message: "Deactivated", reward });
+    }
+
+    const deleted = await Reward.findByIdAndDelete(req.params.id);
+    if (!deleted) return res.status(404).json({ message: "Reward not found" });
+    res.json({ message: "Deleted" });
+  } catch (err) {
+    console.error("DELETE REWARD ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/* ======================================================
+   REDEMPTIONS
+====================================================== */
+
+// The logged in student's redemptions, newest first
+router.get("/redemptions/me", auth, async (req, res) => {
+  try {
+    const redemptions = await Redemption.find({ studentId: req.user.userId })
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json({ redemptions });
+  } catch (err) {
+    console.error("GET MY REDEMPTIONS ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Fulfilment queue, oldest first. ?status=pending (default), page, limit
+router.get("/redemptions", auth, async (req, res) => {
+  try {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    const { status = "pending", page = 1, limit = 20 } = req.query;
+    if (status !== "all" && !REDEMPTION_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be all or one of ${REDEMPTION_STATUSES.join(", ")}` });
+    }
+
+    const filter = status === "all" ? {} : { status };
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const [redemptions, total] = await Promise.all([
+      Redemption.find(filter)
+        .sort({ createdAt: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate("studentId", "name email className")
+        .lean(),
+      Redemption.countDocuments(filter),
+    ]);
+
+    res.json({ redemptions, total, page: pageNum, pages: Math.ceil(total / limitNum) });
+  } catch (err) {
+    console.error("GET REDEMPTIONS ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Move a redemption along the queue. body: { status, note? }
+router.post("/redemptions/:id/status", auth, async (req, res) => {
+  try {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid redemption id" });
+    }
+
+    const { status, note = "" } = req.body;
+    if (!REDEMPTION_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of ${REDEMPTION_STATUSES.join(", ")}` });
+    }
+
+    const session = await mongoose.startSession();
+    let redemption;
+    try {
+      await session.withTransaction(async () => {
+        const current = await Redemption.findById(req.params.id).session(session);
+        if (!current) throw httpError(404, "Redemption not found");
+        if (!NEXT_STATUSES[current.status].includes(status)) {
+          throw httpError(409, `A ${current.status} redemption cannot become ${status}`);
+        }
+
+        current.status = status;
+        current.history.push({ status, note: String(note).trim(), by: req.user.userId });
+
+        if (status === "rejected" && !current.refunded) {
+          current.refunded = true;
+          await recordEntries(
+            [
+              {
+                studentId: current.studentId,
+                type: "redemption",
+                amount: current.price,
+                reason: `Refund: ${current.rewardName}`,
+                refType: "redemption",
+                refId: current._id,
+                key: `refund:${current._id}`,
+                createdBy: req.user.userId,
+              },
+            ],
+            { session }
+          );
+          await Reward.updateOne(
+            { _id: current.rewardId, stock: { $ne: null } },
+            { $inc: { stock: 1 } },
+            { session }
+          );
+        }
+
+        redemption = await current.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    res.json({ redemption });
+  } catch (err) {
+    console.error("REDEMPTION STATUS ERROR:", err);
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+/* ======================================================
+   REDEEM
+   URL: POST /api/rewards/:id/redeem
+====================================================== */
+router.post("/:id/redeem", auth, async (req, res) => {
+  try {
+    const studentId = req.user.userId;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid reward id" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(studentId)) {
+      return res.status(403).json({ message: "Only students can redeem rewards" });
+    }
+
+    const session = await mongoose.startSession();
+    let redemption;
+    try {
+      await session.withTransaction(async () => {
+        // spends of one student run one after the other, see lockWallet
+        if (!(await lockWallet(studentId, { session }))) {
+          throw httpError(403, "Only students can redeem rewards");
+        }
+
+        const now = new Date();
+        const reward = await Reward.findOne({ _id: req.params.id, ...availableFilter(now) })
+          .session(session)
+          .lean();
+        if (!reward) throw httpError(404, "Reward not available");
+
+        const balance = await ledgerBalance(studentId, { session });
+        if (balance < reward.price) throw httpError(400, "Not enough diamonds");
+
+        if (reward.stock !== null && typeof reward.stock !== "undefined") {
+          const taken = await Reward.updateOne(
+            { _id: reward._id, stock: { $gt: 0 } },
+            { $inc: { stock: -1 } },
+            { session }
+          );
+          if (!taken.modifiedCount) throw httpError(409, "Out of stock");
+        }
+
+        [redemption] = await Redemption.create(
+          [
+            {
+              studentId,
+              rewardId: reward._id,
+              rewardName: reward.name,
+              price: reward.price,
+              history: [{ status: "pending", by: studentId }],
+            },
+          ],
+          { session }
+        );
+
+        await recordEntries(
+          [
+            {
+              studentId,
+              type: "redemption",
+              amount: -reward.price,
+              reason: `Redeemed: ${reward.name}`,
+              refType: "redemption",
+              refId: redemption._id,
+              key: `redeem:${redemption._id}`,
+            },
+          ],
+          { session }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    res.status(201).json({ redemption, balance: await ledgerBalance(studentId) });
+  } catch (err) {
+    console.error("REDEEM ERROR:", err);
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+export default router;
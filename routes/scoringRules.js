@@ -0,0 +1,110 @@
+// backend/routes/scoringRules.js
+import express from "express";
+import ScoringRule from "../models/ScoringRule.js";
+import auth from "../middleware/auth.js";
+import requireSuperAdmin from "../middleware/requireSuperAdmin.js";
+import {
+  getScoringRule,
+  normalizeLevel,
+  validateScoring,
+} from "../utils/scoring.js";
+
+const router = express.Router();
+
+/*
+----------------------------------------------------------
+  SCORING RULES
+  - GET /active is readable by any logged in user
+  - Everything else is superadmin only
+  - Rule sets are versioned: saving creates a new version,
+    old versions stay so past progress remains reproducible
+----------------------------------------------------------
+*/
+
+// Active rule set
+router.get("/active", auth, async (req, res) => {
+  try {
+    const rule = await getScoringRule();
+    res.json({ rule });
+  } catch (err) {
+    console.error("GET ACTIVE SCORING RULE ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// All versions, newest first
+router.get("/", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    await getScoringRule(); // make sure the default version exists
+    const rules = await ScoringRule.find().sort({ version: -1 }).lean();
+    res.json({ rules });
+  } catch (err) {
+    console.error("GET SCORING RULES ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Single version
+router.get("/:version", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const rule = await ScoringRule.findOne({
+      version: Number(req.params.version),
+    }).lean();
+    if (!rule) return res.status(404).json({ message: "Scoring rule not found" });
+    res.json({ rule });
+  } catch (err) {
+    console.error("GET SCORING RULE ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Save a new version (becomes the active one)
+router.post("/", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { levels, note } = req.body;
+
+    if (!Array.isArray(levels) || !levels.length) {
+      return res.status(400).json({ message: "levels required" });
+    }
+
+    const seen = new Set();
+    const cleanLevels = [];
+    for (const l of levels) {
+      const level = normalizeLevel(l.level);
+      if (!level) {
+        return res.status(400).json({ message: "Each level rule needs a level" });
+      }
+      if (seen.has(level)) {
+        return res.status(400).json({ message: `Duplicate level: ${level}` });
+      }
+
+      const ladder = (l.ladder || []).map(Number);
+      const maxAttempts = Number(l.maxAttempts || ladder.length);
+      const error = validateScoring({ ladder, maxAttempts });
+      if (error) {
+        return res.status(400).json({ message: `${level}: ${error}` });
+      }
+
+      seen.add(level);
+      cleanLevels.push({ level, ladder, maxAttempts });
+    }
+
+    const current = await getScoringRule();
+    const rule = await ScoringRule.create({
+      version: current.version + 1,
+      levels: cleanLevels,
+      note,
+      createdBy: req.user.userId,
+    });
+
+    res.status(201).json({ rule });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ message: "Rules changed meanwhile, please retry" });
+    }
+    console.error("CREATE SCORING RULE ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
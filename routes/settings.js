@@ -0,0 +1,54 @@
+// backend/routes/settings.js
+import express from "express";
+import Setting from "../models/Setting.js";
+import auth from "../middleware/auth.js";
+import requireSuperAdmin from "../middleware/requireSuperAdmin.js";
+import { DEFAULT_SETTINGS, getSettings, validateSettings } from "../utils/settings.js";
+
+const router = express.Router();
+
+/*
+----------------------------------------------------------
+  INSTITUTION SETTINGS
+  - GET is readable by any logged in user
+  - PUT is superadmin only, fields left out keep their value
+----------------------------------------------------------
+*/
+
+router.get("/", auth, async (req, res) => {
+  try {
+    const settings = await getSettings();
+    res.json({ settings });
+  } catch (err) {
+    console.error("GET SETTINGS ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.put("/", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const changes = {};
+    Object.keys(DEFAULT_SETTINGS).forEach((k) => {
+      if (typeof req.body[k] !== "undefined") changes[k] = req.body[k];
+    });
+
+    const error = validateSettings(changes);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await Setting.findOneAndUpdate(
+      { key: "global" },
+      { $set: { ...changes, updatedBy: req.user.userId } },
+      { upsert: true, new: true }
+    );
+
+    const settings = await getSettings();
+    res.json({ settings });
+  } catch (err) {
+    console.error("UPDATE SETTINGS ERROR:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
@@ -2,10 +2,126 @@ import express from "express";
 import mongoose from "mongoose";
 import Quiz from "../models/Quiz.js";
 import StudentQuizProgress from "../models/StudentQuizProgress.js";
+import Student from "../models/Student.js";
 import auth from "../middleware/auth.js";
+import {
+  getScoringRule,
+  resolveScoring,
+  diamondsFor,
+  isLocked,
+  isDayComplete,
+  progressTotal,
+} from "../utils/scoring.js";
+import {
+  gradeAnswer,
+  solution,
+  hideAnswerKey,
+  studentHints,
+} from "../utils/questionTypes.js";
+import {
+  studentQuizFilter,
+  publishedFilter,
+  classFilter,
+} from "../utils/publishing.js";
+import {
+  questionLimit,
+  quizLimit,
+  deadline,
+  secondsLeft,
+  latePolicy,
+  questionStartedAt,
+  questionDeadline,
+} from "../utils/timing.js";
+import { todayString } from "../utils/dates.js";
+import { getSettings, dateAccess } from "../utils/settings.js";
+import { recalculateStreak, streakSummary } from "../utils/streaks.js";
+import {
+  ledgerBalance,
+  recordEntries,
+  earnEntry,
+  hintEntry,
+  lockWallet,
+} from "../utils/ledger.js";
+import { evaluateStudentBadges } from "../utils/badges.js";
+import { levelAccess, levelLock, saveLevelUnlocks } from "../utils/levels.js";
+import { requestMeta, elapsedSince, recordAnswerEvent } from "../utils/integrity.js";
+import { refreshStandings } from "../utils/standings.js";
 
 const router = express.Router();
 
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Quizzes can target classes, so every student route needs the class
+async function studentClassName(userId) {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+  const student = await Student.findById(userId).select("className").lean();
+  return student?.className || null;
+}
+
+/*
+  Progress for one day (lean), created with the active scoring rule on
+  first use. studentId + date + level is unique, so two first requests
+  racing each other end up with the same document.
+*/
+async function findOrCreateProgress(userId, date, level) {
+  const key = { studentId: userId, date, level };
+  const progress = await StudentQuizProgress.findOne(key).lean();
+  if (progress) return progress;
+
+  const activeRule = await getScoringRule();
+  try {
+    return await StudentQuizProgress.findOneAndUpdate(
+      key,
+      {
+        $setOnInsert: {
+          answers: [],
+          totalDiamonds: 0,
+          completed: false,
+          ruleVersion: activeRule.version,
+        },
+      },
+      { upsert: true, new: true }
+    ).lean();
+  } catch (err) {
+    if (err.code === 11000) return StudentQuizProgress.findOne(key).lean();
+    throw err;
+  }
+}
+
+// Starts one question's clock, only once: the first reveal, hint or
+// attempt wins. Returns the recorded start.
+async function recordQuestionStart(progress, questionId, at = new Date()) {
+  const known = questionStartedAt(progress, questionId);
+  if (known) return known;
+
+  await StudentQuizProgress.updateOne(
+    { _id: progress._id, "questionStarts.questionId": { $ne: String(questionId) } },
+    {
+      $push: { questionStarts: { questionId: String(questionId), at } },
+      $inc: { rev: 1 },
+    }
+  );
+  const saved = await StudentQuizProgress.findById(progress._id).select("questionStarts").lean();
+  return questionStartedAt(saved, questionId);
+}
+
+function normalizeAnswers(answers) {
+  return (answers || []).map((a) => ({
+    questionId: a.questionId ? String(a.questionId) : a.questionId,
+    attempts: Number(a.attempts || 0),
+    earnedDiamonds: Number(a.earnedDiamonds || 0),
+    isCorrect: !!a.isCorrect,
+    hintsUsed: a.hintsUsed || [],
+    hintCost: Number(a.hintCost || 0),
+    _id: a._id,
+  }));
+}
+
+
 /* ======================================================
    1) GET overall total diamonds
    URL: GET /api/student-quiz/total
@@ -17,18 +133,9 @@ router.get("/total", auth, async (req, res) => {
       return res.status(400).json({ message: "Missing user" });
     }
 
-    const result = await StudentQuizProgress.aggregate([
-      { $match: { studentId: new mongoose.Types.ObjectId(userId) } },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: { $ifNull: ["$totalDiamonds", 0] } },
-        },
-      },
-    ]);
-
-    const total = (result && result[0] && Number(result[0].total)) || 0;
-    return res.json({ total });
+    const streak = await streakSummary(userId);
+    const total = await ledgerBalance(userId);
+    return res.json({ total, streak });
   } catch (err) {
     console.error("GET TOTAL DIAMONDS ERROR:", err);
     return res.status(500).json({ message: "Server error" });
@@ -36,7 +143,46 @@ router.get("/total", auth, async (req, res) => {
 });
 
 /* ======================================================
-   2) GET QUIZ QUESTIONS FOR STUDENT (date + level)
+   2) GET TODAY'S QUIZ DATE
+   Resolved on the server in the institution timezone, with the
+   levels that have questions live for this student today
+   URL: GET /api/student-quiz/today
+====================================================== */
+router.get("/today", auth, async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+    const className = await studentClassName(userId);
+    const { timezone, pastDatePolicy, levelUnlock } = await getSettings();
+    const now = new Date();
+    const today = todayString(now, timezone);
+
+    const levels = await Quiz.distinct("level", {
+      date: today,
+      $and: [publishedFilter(now, today), classFilter(className)],
+    });
+
+    // with enforced unlocking the client greys out the locked levels
+    const unlockedLevels =
+      levelUnlock.enforced && req.user.role === "student" && className
+        ? (await levelAccess(userId, now)).unlocked
+        : undefined;
+
+    return res.json({
+      date: today,
+      timezone,
+      pastDatePolicy,
+      serverTime: now,
+      levels,
+      ...(unlockedLevels && { unlockedLevels }),
+    });
+  } catch (err) {
+    console.error("GET TODAY ERROR:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+/* ======================================================
+   3) GET QUIZ QUESTIONS FOR STUDENT (date + level)
    🔥 imageUrl FORCE INCLUDED
    URL: GET /api/student-quiz/:date/:level
 ====================================================== */
@@ -44,52 +190,115 @@ router.get("/:date/:level", auth, async (req, res) => {
   try {
     const { date, level } = req.params;
     const userId = req.user?.userId;
+    const className = await studentClassName(userId);
+
+    const access = await dateAccess(date);
+    if (access.locked) {
+      return res.status(403).json({ message: "This quiz date is closed", pastDate: true });
+    }
+
+    const lock = await levelLock(req.user, level);
+    if (lock) {
+      return res.status(403).json({ message: lock.message, levelLocked: true, requirement: lock.requirement });
+    }
 
     // 🔥 IMPORTANT FIX — imageUrl explicitly selected
-    const questions = await Quiz.find(
-      { date, level },
+    const quizDocs = await Quiz.find(
+      studentQuizFilter({ date, level, className, today: access.today }),
       {
+        type: 1,
         question: 1,
         options: 1,
         correctIndex: 1,
+        correctIndices: 1,
+        numericAnswer: 1,
+        tolerance: 1,
+        acceptedAnswers: 1,
         imageUrl: 1,
+        explanation: 1,
+        hints: 1,
+        scoring: 1,
+        timeLimitSeconds: 1,
+        quizTimeLimitSeconds: 1,
       }
-    );
+    ).lean();
 
-    let progress = await StudentQuizProgress.findOne({
-      studentId: userId,
-      date,
-      level,
-    });
-
-    if (!progress) {
-      progress = await StudentQuizProgress.create({
-        studentId: userId,
+    // nothing live yet: future dates and unpublished drafts are refused,
+    // without creating progress that would later block the real quiz
+    if (!quizDocs.length) {
+      const unpublished = await Quiz.exists({
         date,
         level,
-        answers: [],
-        totalDiamonds: 0,
-        completed: false,
+        status: { $ne: "archived" },
+        ...classFilter(className),
       });
+      if (unpublished || date > access.today) {
+        return res.status(403).json({ message: "Quiz not published yet" });
+      }
+    }
+
+    const progress = await findOrCreateProgress(userId, date, level);
+
+    // the clock of a timed quiz starts on the first fetch, only once
+    const now = new Date();
+    if (quizDocs.length && !progress.startedAt) {
+      const started = await StudentQuizProgress.findOneAndUpdate(
+        { _id: progress._id, startedAt: null },
+        { $set: { startedAt: now }, $inc: { rev: 1 } },
+        { new: true }
+      ).lean();
+      progress.startedAt =
+        started?.startedAt ||
+        (await StudentQuizProgress.findById(progress._id).select("startedAt").lean()).startedAt;
     }
 
-    const normalizedProgress = progress.toObject();
-    normalizedProgress.answers = (normalizedProgress.answers || []).map((a) => ({
-      questionId: a.questionId ? String(a.questionId) : a.questionId,
-      attempts: Number(a.attempts || 0),
-      earnedDiamonds: Number(a.earnedDiamonds || 0),
-      isCorrect: !!a.isCorrect,
-      _id: a._id,
-    }));
+    // progress saved before scoring rules existed was scored with version 1
+    const rule = await getScoringRule(progress.ruleVersion || 1);
+
+    const normalizedProgress = { ...progress };
+    normalizedProgress.answers = normalizeAnswers(normalizedProgress.answers);
     normalizedProgress.totalDiamonds = Number(
       normalizedProgress.totalDiamonds || 0
     );
     normalizedProgress.completed = !!normalizedProgress.completed;
 
+    // the answer key and explanation are only sent once the question is
+    // locked for this student, hint text once bought (or locked)
+    // a question not started yet shows its full limit (capped by the quiz's)
+    const questions = quizDocs.map(({ scoring, quizTimeLimitSeconds, ...q }) => {
+      const questionScoring = resolveScoring(rule, level, { scoring });
+      const timed = { ...q, quizTimeLimitSeconds };
+      const limit = questionLimit(timed);
+      delete q.timeLimitSeconds;
+      if (limit) {
+        const started = questionStartedAt(progress, q._id);
+        q.timeLimitSeconds = limit;
+        q.timeStarted = !!started;
+        q.timeLeftSeconds = secondsLeft(
+          questionDeadline(timed, { quizStartedAt: progress.startedAt, questionStartedAt: started || now }),
+          now
+        );
+      }
+      const answer = normalizedProgress.answers.find(
+        (a) => a.questionId === String(q._id)
+      );
+      q.type = q.type || "single";
+      q.maxAttempts = questionScoring.maxAttempts;
+      if (isLocked(answer, questionScoring)) {
+        if (q.hints) q.hints = studentHints(q, [], true);
+        return q;
+      }
+
+      return hideAnswerKey(q, answer?.hintsUsed);
+    });
+
     if (!questions.length) {
       if (!progress.completed) {
-        progress.completed = true;
-        await progress.save();
+        await StudentQuizProgress.updateOne(
+          { _id: progress._id },
+          { $set: { completed: true }, $inc: { rev: 1 } }
+        );
+        normalizedProgress.completed = true;
       }
 
       return res.json({
@@ -99,7 +308,19 @@ router.get("/:date/:level", auth, async (req, res) => {
       });
     }
 
-    return res.json({ questions, progress: normalizedProgress });
+    const limit = quizLimit(quizDocs);
+    const due = deadline(progress.startedAt, limit);
+    const timeLimit = limit
+      ? { seconds: limit, deadline: due, timeLeftSeconds: secondsLeft(due, now) }
+      : null;
+
+    return res.json({
+      questions,
+      progress: normalizedProgress,
+      timeLimit,
+      pastDate: access.past,
+      earnsDiamonds: access.earnsDiamonds,
+    });
   } catch (err) {
     console.error("GET QUIZ ERROR:", err);
     return res.status(500).json({ message: "Server error" });
@@ -107,156 +328,508 @@ router.get("/:date/:level", auth, async (req, res) => {
 });
 
 /* ======================================================
-   3) POST ANSWER
+   4) POST ANSWER
+   One conditional write per submission: the new day state is worked
+   out from the progress as read, and only saved if nobody changed it
+   in between (progress.rev). Otherwise it is read again and retried,
+   so parallel taps are applied one after the other.
+   The progress and its keyed earn entry are saved in one transaction.
+   An Idempotency-Key header (or body.idempotencyKey) makes a retried
+   request return its first result instead of using another attempt.
    URL: POST /api/student-quiz/answer
 ====================================================== */
+const MAX_SUBMIT_TRIES = 5;
+
+function findSubmission(progress, key) {
+  for (const a of progress.answers || []) {
+    const submission = (a.submissions || []).find((s) => s.key === key);
+    if (submission) return { ...submission, questionId: a.questionId };
+  }
+  return null;
+}
+
+function answerResponse(state, quiz, scoring, submission) {
+  const revealed = submission.isCorrect || submission.attempt >= scoring.maxAttempts;
+  const totalDiamonds = Number(state.totalDiamonds || 0);
+
+  return {
+    success: true,
+    isCorrect: submission.isCorrect,
+    late: !!submission.late,
+    earnedDiamonds: submission.earnedDiamonds,
+    attempts: submission.attempt,
+    attemptsLeft: Math.max(0, scoring.maxAttempts - submission.attempt),
+    ...(revealed && solution(quiz)),
+    totalDiamonds,
+    total: totalDiamonds,
+    completed: !!state.completed,
+    ruleVersion: state.ruleVersion,
+    progress: {
+      totalDiamonds,
+      completed: !!state.completed,
+      answers: normalizeAnswers(state.answers),
+    },
+  };
+}
+
 router.post("/answer", auth, async (req, res) => {
   try {
-    const { questionId, date, level, isCorrect } = req.body;
+    const { questionId, date, level } = req.body;
     const userId = req.user?.userId;
 
-    if (!questionId || !date || !level || typeof isCorrect === "undefined") {
+    // `answer` shape depends on the question type, single-choice
+    // clients may still send `selectedIndex`
+    const answer =
+      typeof req.body.answer !== "undefined" ? req.body.answer : req.body.selectedIndex;
+    const idempotencyKey =
+      String(req.get("Idempotency-Key") || req.body.idempotencyKey || "").trim() || null;
+
+    if (!questionId || !date || !level || typeof answer === "undefined") {
       return res.status(400).json({ message: "Missing parameters" });
     }
 
-    let progress = await StudentQuizProgress.findOne({
-      studentId: userId,
-      date,
-      level,
-    });
+    if (!mongoose.Types.ObjectId.isValid(questionId)) {
+      return res.status(400).json({ message: "Invalid questionId" });
+    }
 
-    if (!progress) {
-      progress = await StudentQuizProgress.create({
-        studentId: userId,
-        date,
-        level,
-        answers: [],
-        totalDiamonds: 0,
-        completed: false,
-      });
+    const className = await studentClassName(userId);
+
+    const access = await dateAccess(date);
+    if (access.locked) {
+      return res.status(403).json({ message: "This quiz date is closed", pastDate: true });
     }
 
-    if (progress.completed) {
-      return res.json({
-        blocked: true,
-        message: "Quiz already completed today",
-      });
+    const lock = await levelLock(req.user, level);
+    if (lock) {
+      return res.status(403).json({ message: lock.message, levelLocked: true, requirement: lock.requirement });
     }
 
-    const exists = progress.answers.some(
-      (a) => String(a.questionId) === String(questionId)
-    );
+    const quiz = await Quiz.findOne({
+      _id: questionId,
+      ...studentQuizFilter({ date, level, className, today: access.today }),
+    }).lean();
+    if (!quiz) {
+      return res.status(404).json({ message: "Question not found" });
+    }
 
-    if (!exists) {
-      progress.answers.push({
-        questionId: String(questionId),
-        attempts: 0,
-        earnedDiamonds: 0,
-        isCorrect: false,
-      });
-      await progress.save();
+    const grade = gradeAnswer(quiz, answer);
+    if (grade.error) {
+      return res.status(400).json({ message: grade.error });
     }
 
-    await StudentQuizProgress.updateOne(
-      {
-        studentId: userId,
-        date,
-        level,
-        "answers.questionId": String(questionId),
-      },
-      {
-        $inc: { "answers.$.attempts": 1 },
+    const dayQuestions = await Quiz.find(
+      studentQuizFilter({ date, level, className, today: access.today }),
+      { scoring: 1 }
+    ).lean();
+
+    for (let tries = 0; tries < MAX_SUBMIT_TRIES; tries++) {
+      const progress = await findOrCreateProgress(userId, date, level);
+      const rule = await getScoringRule(progress.ruleVersion || 1);
+      const scoring = resolveScoring(rule, level, quiz);
+
+      const replayed = idempotencyKey && findSubmission(progress, idempotencyKey);
+      if (replayed) {
+        // keyed, so a no-op unless the first request failed to record it
+        if (replayed.earnedDiamonds > 0) {
+          await recordEntries([
+            earnEntry(progress, replayed.questionId, replayed.earnedDiamonds, replayed.attempt),
+          ]);
+        }
+        return res.json({
+          ...answerResponse(progress, quiz, scoring, replayed),
+          pastDate: access.past,
+          replayed: true,
+        });
       }
-    );
 
-    const freshProgress = await StudentQuizProgress.findOne({
-      studentId: userId,
-      date,
-      level,
-    });
+      if (progress.voided) {
+        return res.status(403).json({ message: "Diamonds of this day were voided" });
+      }
 
-    const updatedAnswer = freshProgress.answers.find(
-      (a) => String(a.questionId) === String(questionId)
-    );
+      if (progress.completed) {
+        return res.json({
+          blocked: true,
+          message: "Quiz already completed today",
+        });
+      }
 
-    const attemptsNow = Number(updatedAnswer.attempts || 0);
-    let diamonds = 0;
-    const lvl = level.toLowerCase();
-
-    if (isCorrect) {
-      if (lvl === "beginner") {
-        if (attemptsNow === 1) diamonds = 10;
-        else if (attemptsNow === 2) diamonds = 5;
-        else if (attemptsNow === 3) diamonds = 3;
-      } else if (lvl === "intermediate") {
-        if (attemptsNow === 1) diamonds = 20;
-        else if (attemptsNow === 2) diamonds = 15;
-        else if (attemptsNow === 3) diamonds = 10;
-        else diamonds = 5;
-      } else if (lvl === "advance" || lvl === "advanced") {
-        if (attemptsNow === 1) diamonds = 30;
-        else if (attemptsNow === 2) diamonds = 25;
-        else if (attemptsNow === 3) diamonds = 20;
-        else diamonds = 10;
+      const existing = (progress.answers || []).find(
+        (a) => String(a.questionId) === String(questionId)
+      );
+
+      if (isLocked(existing, scoring)) {
+        return res.json({
+          blocked: true,
+          message: "Question already answered",
+          ...solution(quiz),
+        });
       }
 
-      await StudentQuizProgress.updateOne(
-        {
-          studentId: userId,
-          date,
-          level,
-          "answers.questionId": String(questionId),
-        },
-        {
-          $set: {
-            "answers.$.isCorrect": true,
-            "answers.$.earnedDiamonds": diamonds,
-          },
+      // answering without a fetch (or reveal) first starts the clocks as well
+      const now = new Date();
+      const startedAt = progress.startedAt || now;
+      const questionStart = questionStartedAt(progress, questionId);
+
+      const due = questionDeadline(quiz, {
+        quizStartedAt: startedAt,
+        questionStartedAt: questionStart || now,
+      });
+      const late = !!due && now > due;
+      if (late && latePolicy(quiz) === "reject") {
+        return res.status(403).json({
+          timeUp: true,
+          message: "Time is up for this question",
+        });
+      }
+
+      const attemptsNow = Number(existing?.attempts || 0) + 1;
+      const { isCorrect } = grade;
+      // late answers and missed dates under the "zero" policies still
+      // count, for no diamonds
+      const noDiamonds = late || !access.earnsDiamonds;
+      const diamonds = isCorrect && !noDiamonds ? diamondsFor(scoring, attemptsNow) : 0;
+
+      const submission = {
+        ...(idempotencyKey && { key: idempotencyKey }),
+        attempt: attemptsNow,
+        isCorrect,
+        earnedDiamonds: diamonds,
+        late,
+        elapsedMs: elapsedSince(progress, questionId, now),
+        at: now,
+      };
+
+      const entry = {
+        ...(existing || {
+          questionId: String(questionId),
+          attempts: 0,
+          earnedDiamonds: 0,
+          isCorrect: false,
+        }),
+      };
+      entry.attempts = attemptsNow;
+      entry.responses = [...(entry.responses || []), answer];
+      entry.submissions = [...(entry.submissions || []), submission];
+      if (isCorrect) {
+        entry.isCorrect = true;
+        entry.earnedDiamonds = diamonds;
+      }
+      if (noDiamonds && !entry.lateFrom) {
+        entry.lateFrom = attemptsNow;
+      }
+
+      const answers = existing
+        ? progress.answers.map((a) => (a === existing ? entry : a))
+        : [...(progress.answers || []), entry];
+
+      const state = {
+        answers,
+        totalDiamonds: progressTotal(answers),
+        completed: isDayComplete(answers, dayQuestions, rule, level),
+        ruleVersion: progress.ruleVersion || rule.version,
+        startedAt,
+        ...(!questionStart && {
+          questionStarts: [...(progress.questionStarts || []), { questionId: String(questionId), at: now }],
+        }),
+      };
+
+      const session = await mongoose.startSession();
+      let saved = false;
+      try {
+        await session.withTransaction(async () => {
+          const result = await StudentQuizProgress.updateOne(
+            { _id: progress._id, rev: progress.rev ?? null },
+            { $set: state, $inc: { rev: 1 } },
+            { session }
+          );
+          saved = result.matchedCount > 0;
+          if (saved && diamonds > 0) {
+            await recordEntries([earnEntry(progress, questionId, diamonds, attemptsNow)], { session });
+          }
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      if (saved) {
+        await refreshStandings(userId, [date]).catch((err) =>
+          console.error("STANDINGS UPDATE ERROR:", err)
+        );
+
+        // a newly completed day can extend the streak and pay a bonus
+        if (state.completed && !progress.completed) {
+          await recalculateStreak(userId).catch((err) =>
+            console.error("STREAK UPDATE ERROR:", err)
+          );
         }
-      );
+
+        await saveLevelUnlocks(userId, now).catch((err) =>
+          console.error("LEVEL UNLOCK ERROR:", err)
+        );
+
+        await recordAnswerEvent(
+          {
+            studentId: userId,
+            progressId: progress._id,
+            questionId: String(questionId),
+            date,
+            level,
+            attempt: attemptsNow,
+            isCorrect,
+            elapsedMs: submission.elapsedMs,
+            ...requestMeta(req),
+            at: now,
+          },
+          { completedNow: state.completed && !progress.completed }
+        ).catch((err) => console.error("INTEGRITY CHECK ERROR:", err));
+
+        const newBadges = await evaluateStudentBadges(userId).catch((err) => {
+          console.error("BADGE EVALUATION ERROR:", err);
+          return [];
+        });
+
+        return res.json({
+          ...answerResponse(state, quiz, scoring, submission),
+          pastDate: access.past,
+          newBadges: newBadges.map((b) => ({
+            key: b.key,
+            name: b.rule?.name,
+            icon: b.rule?.icon,
+            earnedAt: b.earnedAt,
+          })),
+        });
+      }
+      // another request saved first, start over from its result
     }
 
-    const afterProgress = await StudentQuizProgress.findOne({
-      studentId: userId,
-      date,
-      level,
-    });
+    return res.status(409).json({ message: "Busy, please try again" });
+  } catch (err) {
+    console.error("ANSWER SAVE ERROR:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+/* ======================================================
+   5) POST UNLOCK HINT
+   Takes the hint's cost off the day's totalDiamonds.
+   Asking for an already unlocked hint is free.
+   URL: POST /api/student-quiz/hint
+====================================================== */
+router.post("/hint", auth, async (req, res) => {
+  try {
+    const { questionId, date, level } = req.body;
+    const userId = req.user?.userId;
+    const hintIndex = Number(req.body.hintIndex);
 
-    afterProgress.totalDiamonds = afterProgress.answers.reduce(
-      (sum, a) => sum + Number(a.earnedDiamonds || 0),
-      0
+    if (!questionId || !date || !level || !Number.isInteger(hintIndex)) {
+      return res.status(400).json({ message: "Missing parameters" });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(questionId)) {
+      return res.status(400).json({ message: "Invalid questionId" });
+    }
+
+    const className = await studentClassName(userId);
+
+    const access = await dateAccess(date);
+    if (access.locked) {
+      return res.status(403).json({ message: "This quiz date is closed", pastDate: true });
+    }
+
+    const lock = await levelLock(req.user, level);
+    if (lock) {
+      return res.status(403).json({ message: lock.message, levelLocked: true, requirement: lock.requirement });
+    }
+
+    const quiz = await Quiz.findOne({
+      _id: questionId,
+      ...studentQuizFilter({ date, level, className, today: access.today }),
+    }).lean();
+    if (!quiz) {
+      return res.status(404).json({ message: "Question not found" });
+    }
+
+    const hint = hintIndex >= 0 ? (quiz.hints || [])[hintIndex] : null;
+    if (!hint) {
+      return res.status(404).json({ message: "Hint not found" });
+    }
+
+    const cost = Number(hint.cost || 0);
+    const hintView = { index: hintIndex, text: hint.text, cost };
+
+    const progress = await findOrCreateProgress(userId, date, level);
+    const rule = await getScoringRule(progress.ruleVersion || 1);
+    const scoring = resolveScoring(rule, level, quiz);
+
+    if (progress.voided) {
+      return res.status(403).json({ message: "Diamonds of this day were voided" });
+    }
+
+    const existing = progress.answers.find(
+      (a) => String(a.questionId) === String(questionId)
     );
 
-    const totalQuestions = await Quiz.countDocuments({ date, level });
-    const correctCount = afterProgress.answers.filter(
-      (a) => a.isCorrect
-    ).length;
+    if ((existing?.hintsUsed || []).includes(hintIndex)) {
+      return res.json({
+        success: true,
+        charged: 0,
+        hint: hintView,
+        totalDiamonds: progress.totalDiamonds,
+      });
+    }
+
+    if (progress.completed || isLocked(existing, scoring)) {
+      return res.json({
+        blocked: true,
+        message: "Question already answered",
+      });
+    }
 
-    afterProgress.completed =
-      totalQuestions === 0 || correctCount === totalQuestions;
+    // buying a hint starts the question's clock if a reveal did not
+    await recordQuestionStart(progress, questionId);
+
+    // balance check and debit in one transaction behind the wallet guard
+    // (utils/ledger.js lockWallet), like redemptions
+    const session = await mongoose.startSession();
+    let charged = 0;
+    try {
+      await session.withTransaction(async () => {
+        charged = 0;
+        // a second tap waits for the first, then gets the hint for free
+        const bought = await StudentQuizProgress.exists({
+          _id: progress._id,
+          answers: { $elemMatch: { questionId: String(questionId), hintsUsed: hintIndex } },
+        }).session(session);
+        if (bought) return;
+
+        if (cost > 0) {
+          if (!(await lockWallet(userId, { session }))) {
+            throw httpError(403, "Only students can spend diamonds");
+          }
+          if ((await ledgerBalance(userId, { session })) < cost) {
+            throw httpError(400, "Not enough diamonds");
+          }
+        }
 
-    await afterProgress.save();
+        // the questionId condition keeps parallel requests from adding the entry twice
+        await StudentQuizProgress.updateOne(
+          { _id: progress._id, "answers.questionId": { $ne: String(questionId) } },
+          {
+            $push: {
+              answers: {
+                questionId: String(questionId),
+                attempts: 0,
+                earnedDiamonds: 0,
+                isCorrect: false,
+              },
+            },
+            $set: { ruleVersion: progress.ruleVersion || rule.version },
+            $inc: { rev: 1 },
+          },
+          { session }
+        );
+
+        // the hintsUsed condition stops a double click from paying twice
+        const result = await StudentQuizProgress.updateOne(
+          {
+            _id: progress._id,
+            answers: {
+              $elemMatch: { questionId: String(questionId), hintsUsed: { $ne: hintIndex } },
+            },
+          },
+          {
+            $push: { "answers.$.hintsUsed": hintIndex },
+            $inc: { "answers.$.hintCost": cost, totalDiamonds: -cost, rev: 1 },
+          },
+          { session }
+        );
 
-    const normalizedAnswers = afterProgress.answers.map((a) => ({
-      questionId: String(a.questionId),
-      attempts: Number(a.attempts || 0),
-      earnedDiamonds: Number(a.earnedDiamonds || 0),
-      isCorrect: !!a.isCorrect,
-    }));
+        if (result.modifiedCount) {
+          charged = cost;
+          await recordEntries([hintEntry(progress, questionId, cost, hintIndex)], { session });
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    await refreshStandings(userId, [date]).catch((err) =>
+      console.error("STANDINGS UPDATE ERROR:", err)
+    );
+
+    const afterProgress = await StudentQuizProgress.findById(progress._id).lean();
 
     return res.json({
       success: true,
+      charged,
+      hint: hintView,
       totalDiamonds: afterProgress.totalDiamonds,
-      total: afterProgress.totalDiamonds,
-      completed: afterProgress.completed,
-      progress: {
-        totalDiamonds: afterProgress.totalDiamonds,
-        completed: afterProgress.completed,
-        answers: normalizedAnswers,
-      },
+      total: await ledgerBalance(userId),
     });
   } catch (err) {
-    console.error("ANSWER SAVE ERROR:", err);
+    console.error("HINT UNLOCK ERROR:", err);
+    return res.status(err.status || 500).json({ message: err.status ? err.message : "Server error" });
+  }
+});
+
+/* ======================================================
+   6) POST REVEAL QUESTION
+   Starts a question's own time limit when the app shows it
+   (utils/timing.js). Only the first call counts.
+   body: { questionId, date, level }
+   URL: POST /api/student-quiz/reveal
+====================================================== */
+router.post("/reveal", auth, async (req, res) => {
+  try {
+    const { questionId, date, level } = req.body;
+    const userId = req.user?.userId;
+
+    if (!questionId || !date || !level) {
+      return res.status(400).json({ message: "Missing parameters" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(questionId)) {
+      return res.status(400).json({ message: "Invalid questionId" });
+    }
+
+    const className = await studentClassName(userId);
+
+    const access = await dateAccess(date);
+    if (access.locked) {
+      return res.status(403).json({ message: "This quiz date is closed", pastDate: true });
+    }
+
+    const lock = await levelLock(req.user, level);
+    if (lock) {
+      return res.status(403).json({ message: lock.message, levelLocked: true, requirement: lock.requirement });
+    }
+
+    const quiz = await Quiz.findOne({
+      _id: questionId,
+      ...studentQuizFilter({ date, level, className, today: access.today }),
+    })
+      .select("timeLimitSeconds quizTimeLimitSeconds")
+      .lean();
+    if (!quiz) {
+      return res.status(404).json({ message: "Question not found" });
+    }
+
+    const progress = await findOrCreateProgress(userId, date, level);
+    const now = new Date();
+    const startedAt = await recordQuestionStart(progress, questionId, now);
+    const due = questionDeadline(quiz, {
+      quizStartedAt: progress.startedAt || now,
+      questionStartedAt: startedAt,
+    });
+
+    return res.json({
+      questionId: String(questionId),
+      startedAt,
+      timeLimitSeconds: questionLimit(quiz),
+      deadline: due,
+      timeLeftSeconds: secondsLeft(due, now),
+    });
+  } catch (err) {
+    console.error("REVEAL QUESTION ERROR:", err);
     return res.status(500).json({ message: "Server error" });
   }
 });
@@ -5,6 +5,7 @@ import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import auth from "../middleware/auth.js";
 import requireSuperAdmin from "../middleware/requireSuperAdmin.js";
+import { moveStandingsClass, refreshStandings } from "../utils/standings.js";
 
 const router = express.Router();
 
@@ -67,6 +68,17 @@ router.get("/", auth, async (req, res) => {
   }
 });
 
+// GET distinct class names (for quiz targeting and class filters)
+router.get("/classes", auth, async (req, res) => {
+  try {
+    const classes = (await Student.distinct("className")).filter(Boolean).sort();
+    res.json({ classes });
+  } catch (err) {
+    console.error("GET /students/classes error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 // GET single student by id
 // Note: keeps same auth middleware as GET / so permissions remain unchanged.
 router.get("/:id", auth, async (req, res) => {
@@ -149,6 +161,8 @@ router.put("/:id", auth, requireSuperAdmin, async (req, res) => {
     if (!student)
       return res.status(404).json({ message: "Student not found" });
 
+    if (className) await moveStandingsClass(student._id, student.className);
+
     res.json({ student });
   } catch (err) {
     console.error("PUT /students/:id ERROR:", err);
@@ -163,6 +177,9 @@ router.delete("/:id", auth, requireSuperAdmin, async (req, res) => {
     if (!deleted)
       return res.status(404).json({ message: "Student not found" });
 
+    // off the leaderboard, progress itself is kept
+    await refreshStandings(deleted._id);
+
     res.json({ message: "Student deleted" });
   } catch (err) {
     console.error("DELETE /students error:", err);
@@ -13,13 +13,48 @@ import quizRoutes from "./routes/quiz.js";
 import leaderboardRouter from "./routes/leaderboard.js";
 import quotesRoute from "./routes/quotes.js";
 import certificateRoutes from "./routes/certificates.js";
+import scoringRuleRoutes from "./routes/scoringRules.js";
+import questionBankRoutes from "./routes/questionBank.js";
+import analyticsRoutes from "./routes/analytics.js";
+import settingsRoutes from "./routes/settings.js";
+import badgeRoutes from "./routes/badges.js";
+import diamondRoutes from "./routes/diamonds.js";
+import rewardRoutes from "./routes/rewards.js";
+import practiceRoutes from "./routes/practice.js";
+import reviewRoutes from "./routes/review.js";
+import levelRoutes from "./routes/levels.js";
+import integrityRoutes from "./routes/integrity.js";
 import RewardCertificate from "./models/RewardCertificate.js";
 import CertificateAssignment from "./models/CertificateAssignment.js";
 import UploadLog from "./models/UploadLog.js";
+import ScoringRule from "./models/ScoringRule.js";
+import BankQuestion from "./models/BankQuestion.js";
+import QuizRevision from "./models/QuizRevision.js";
+import Setting from "./models/Setting.js";
+import StudentStreak from "./models/StudentStreak.js";
+import StreakBonus from "./models/StreakBonus.js";
+import BadgeRule from "./models/BadgeRule.js";
+import StudentBadge from "./models/StudentBadge.js";
+import DiamondLedger from "./models/DiamondLedger.js";
+import Reward from "./models/Reward.js";
+import Redemption from "./models/Redemption.js";
+import PracticeAnswer from "./models/PracticeAnswer.js";
+import ReviewItem from "./models/ReviewItem.js";
+import AnswerEvent from "./models/AnswerEvent.js";
+import IntegrityFlag from "./models/IntegrityFlag.js";
+import Standing from "./models/Standing.js";
 
 dotenv.config();
 
 const app = express();
+
+// Behind a proxy or load balancer set TRUST_PROXY (a hop count, "true"
+// or addresses, as Express takes them) so req.ip is the client's address
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === "true" || trustProxy);
+}
+
 app.use(express.json());
 
 // ✅ CORS – WORKS FOR WEB + ANDROID (Capacitor)
@@ -27,7 +62,7 @@ app.use(cors({
   origin: true, // allow all (browser + capacitor://localhost)
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"]
+  allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key", "X-Device-Id"]
 }));
 
 // ✅ PRE-FLIGHT FIX (NO '*')
@@ -51,9 +86,35 @@ mongoose.connect(process.env.MONGO_URI)
       mongoose.model("StudentQuizProgress").createIndexes(),
       mongoose.model("RewardCertificate").createIndexes(),
       mongoose.model("CertificateAssignment").createIndexes(),
-      mongoose.model("UploadLog").createIndexes()
+      mongoose.model("UploadLog").createIndexes(),
+      mongoose.model("ScoringRule").createIndexes(),
+      mongoose.model("BankQuestion").createIndexes(),
+      mongoose.model("QuizRevision").createIndexes(),
+      mongoose.model("Setting").createIndexes(),
+      mongoose.model("StudentStreak").createIndexes(),
+      mongoose.model("StreakBonus").createIndexes(),
+      mongoose.model("BadgeRule").createIndexes(),
+      mongoose.model("StudentBadge").createIndexes(),
+      mongoose.model("DiamondLedger").createIndexes(),
+      mongoose.model("Reward").createIndexes(),
+      mongoose.model("Redemption").createIndexes(),
+      mongoose.model("PracticeAnswer").createIndexes(),
+      mongoose.model("ReviewItem").createIndexes(),
+      mongoose.model("AnswerEvent").createIndexes(),
+      mongoose.model("IntegrityFlag").createIndexes(),
+      mongoose.model("Standing").createIndexes()
     ]).then(() => console.log("Database indexes successfully synced"))
       .catch(err => console.error("Error syncing database indexes:", err));
+
+    // standings are built by a deploy step, see rebuildStandings.js
+    Promise.all([
+      Standing.estimatedDocumentCount(),
+      mongoose.model("StudentQuizProgress").exists({ "answers.0": { $exists: true } }),
+    ]).then(([standings, played]) => {
+      if (!standings && played) {
+        console.warn("Leaderboard standings are empty: run `node rebuildStandings.js`");
+      }
+    }).catch(err => console.error("Error checking standings:", err));
   })
   .catch(err => console.error("Mongo connect error", err));
 
@@ -67,6 +128,17 @@ app.use("/api/student-quiz", studentQuizRoutes);
 app.use("/api/leaderboard", leaderboardRouter);
 app.use("/api/quotes", quotesRoute);
 app.use("/api/certificates", certificateRoutes);
+app.use("/api/scoring-rules", scoringRuleRoutes);
+app.use("/api/question-bank", questionBankRoutes);
+app.use("/api/analytics", analyticsRoutes);
+app.use("/api/settings", settingsRoutes);
+app.use("/api/badges", badgeRoutes);
+app.use("/api/diamonds", diamondRoutes);
+app.use("/api/rewards", rewardRoutes);
+app.use("/api/practice", practiceRoutes);
+app.use("/api/review", reviewRoutes);
+app.use("/api/levels", levelRoutes);
+app.use("/api/integrity", integrityRoutes);
 
 
 const port = process.env.PORT || 5000;
@@ -0,0 +1,156 @@
+// backend/test/answerConcurrency.test.js
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import DiamondLedger from "../models/DiamondLedger.js";
+import Quiz from "../models/Quiz.js";
+import Student from "../models/Student.js";
+import StudentQuizProgress from "../models/StudentQuizProgress.js";
+import studentQuizRoutes from "../routes/studentQuiz.js";
+import { institutionToday } from "../utils/settings.js";
+import { startDatabase, clearDatabase, startApp, tokenFor, postJson } from "./helpers.js";
+
+/*
+  POST /api/student-quiz/answer under parallel submissions
+  (user-013): whatever order the requests land in, the saved attempts,
+  rev and ledger end up the same. Beginner defaults: ladder 10/5/3,
+  3 attempts.
+*/
+
+const PARALLEL = 6;
+
+let stopDatabase;
+let app;
+let today;
+let student;
+let token;
+let question;
+
+before(async () => {
+  stopDatabase = await startDatabase();
+  app = await startApp({ "/api/student-quiz": studentQuizRoutes });
+});
+
+after(async () => {
+  // setup may have failed part way
+  if (app) await app.close();
+  if (stopDatabase) await stopDatabase();
+});
+
+beforeEach(async () => {
+  await clearDatabase();
+  today = await institutionToday();
+
+  student = await Student.create({
+    name: "Race Student",
+    email: "race@example.com",
+    phone: "0000000000",
+    dob: "2012-01-01",
+    gender: "other",
+    className: "7A",
+    password: "x",
+  });
+  token = tokenFor(student);
+
+  // two questions, so one correct answer does not complete the day
+  [question] = await Quiz.create([
+    { date: today, level: "beginner", question: "2 + 2?", options: ["3", "4", "5", "6"], correctIndex: 1, status: "published" },
+    { date: today, level: "beginner", question: "3 + 3?", options: ["5", "6", "7", "8"], correctIndex: 1, status: "published" },
+  ]);
+});
+
+function answerInParallel(answer, keyFor = () => null) {
+  return Promise.all(
+    Array.from({ length: PARALLEL }, (_, i) =>
+      postJson(
+        `${app.url}/api/student-quiz/answer`,
+        { questionId: String(question._id), date: today, level: "beginner", answer },
+        { token, headers: keyFor(i) ? { "Idempotency-Key": keyFor(i) } : {} }
+      )
+    )
+  );
+}
+
+async function savedState() {
+  const progress = await StudentQuizProgress.find({ studentId: student._id }).lean();
+  const entries = await DiamondLedger.find({ studentId: student._id }).lean();
+  assert.equal(progress.length, 1, "one progress row per student, date and level");
+  const answer = progress[0].answers.find((a) => a.questionId === String(question._id));
+  return {
+    progress: progress[0],
+    attempts: answer.attempts,
+    submissions: answer.submissions.length,
+    ledger: entries.reduce((sum, e) => sum + e.amount, 0),
+    earnEntries: entries.filter((e) => e.type === "earn").length,
+  };
+}
+
+test("the same Idempotency-Key sent in parallel is saved once and replayed", async () => {
+  const results = await answerInParallel(1, () => "same-key");
+
+  results.forEach((r) => assert.equal(r.status, 200));
+  assert.equal(results.filter((r) => !r.body.replayed).length, 1);
+  results.forEach((r) => {
+    assert.equal(r.body.isCorrect, true);
+    assert.equal(r.body.earnedDiamonds, 10);
+  });
+
+  const state = await savedState();
+  assert.equal(state.attempts, 1);
+  assert.equal(state.submissions, 1);
+  assert.equal(state.progress.rev, 1);
+  assert.equal(state.progress.totalDiamonds, 10);
+  assert.equal(state.ledger, 10);
+  assert.equal(state.earnEntries, 1);
+});
+
+test("parallel correct answers without a key count once", async () => {
+  const results = await answerInParallel(1);
+
+  results.forEach((r) => assert.equal(r.status, 200));
+  assert.equal(results.filter((r) => !r.body.blocked).length, 1);
+
+  const state = await savedState();
+  assert.equal(state.attempts, 1);
+  assert.equal(state.progress.rev, 1);
+  assert.equal(state.progress.totalDiamonds, 10);
+  assert.equal(state.ledger, 10);
+  assert.equal(state.earnEntries, 1);
+});
+
+test("parallel wrong answers without a key stop at the attempt limit", async () => {
+  const results = await answerInParallel(0);
+
+  results.forEach((r) => assert.equal(r.status, 200));
+  assert.equal(results.filter((r) => !r.body.blocked).length, 3);
+  assert.equal(results.filter((r) => r.body.blocked).length, PARALLEL - 3);
+
+  const state = await savedState();
+  assert.equal(state.attempts, 3);
+  assert.equal(state.submissions, 3);
+  assert.equal(state.progress.rev, 3);
+  assert.equal(state.progress.totalDiamonds, 0);
+  assert.equal(state.ledger, 0);
+});
+
+test("parallel answers with different keys get one attempt each until locked", async () => {
+  const results = await answerInParallel(0, (i) => `key-${i}`);
+
+  results.forEach((r) => assert.equal(r.status, 200));
+  assert.equal(results.filter((r) => !r.body.blocked).length, 3);
+
+  const state = await savedState();
+  assert.equal(state.attempts, 3);
+  assert.equal(state.progress.rev, 3);
+  assert.deepEqual(state.progress.answers[0].submissions.map((s) => s.attempt), [1, 2, 3]);
+
+  // a repeated key replays its own attempt, even after the lock
+  const saved = state.progress.answers[0].submissions[0];
+  const again = await postJson(
+    `${app.url}/api/student-quiz/answer`,
+    { questionId: String(question._id), date: today, level: "beginner", answer: 0 },
+    { token, headers: { "Idempotency-Key": saved.key } }
+  );
+  assert.equal(again.body.replayed, true);
+  assert.equal(again.body.attempts, saved.attempt);
+  assert.equal((await savedState()).progress.rev, 3);
+});
@@ -0,0 +1,78 @@
+// backend/test/helpers.js
+import express from "express";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import { MongoMemoryReplSet } from "mongodb-memory-server";
+
+/*
+  Shared setup for the route tests. They run against MONGO_URI_TEST
+  when set (a throwaway database, it is dropped afterwards), otherwise
+  against an in-memory single node replica set, so transactions work.
+  The in-memory server downloads mongod from fastdl.mongodb.org on its
+  first run. Where that host is out of reach, either
+    MONGO_URI_TEST="mongodb://127.0.0.1:27017/swanzaa-test?replicaSet=rs0" npm test
+  against a replica set (a standalone mongod has no transactions), or
+    MONGOMS_SYSTEM_BINARY=/usr/bin/mongod npm test
+  to have the in-memory server use a mongod that is already installed.
+*/
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+// Connects mongoose, builds every index. Returns the teardown.
+export async function startDatabase() {
+  let replSet = null;
+  let uri = process.env.MONGO_URI_TEST;
+  if (!uri) {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    uri = replSet.getUri();
+  }
+
+  await mongoose.connect(uri);
+  await Promise.all(mongoose.modelNames().map((name) => mongoose.model(name).createIndexes()));
+
+  return async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+    if (replSet) await replSet.stop();
+  };
+}
+
+// Empties every collection, indexes stay
+export async function clearDatabase() {
+  await Promise.all(Object.values(mongoose.connection.collections).map((c) => c.deleteMany({})));
+}
+
+// Serves { path: router } on a free port. Returns { url, close },
+// url without a trailing slash.
+export async function startApp(routers) {
+  const app = express();
+  app.use(express.json());
+  Object.entries(routers).forEach(([path, router]) => app.use(path, router));
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+export function tokenFor(student) {
+  return jwt.sign(
+    { userId: String(student._id), role: "student", email: student.email },
+    process.env.JWT_SECRET
+  );
+}
+
+export async function postJson(url, body, { token, headers = {} } = {}) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers,
+    },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
@@ -0,0 +1,114 @@
+// backend/test/walletSpending.test.js
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import DiamondLedger from "../models/DiamondLedger.js";
+import Quiz from "../models/Quiz.js";
+import Reward from "../models/Reward.js";
+import Student from "../models/Student.js";
+import rewardRoutes from "../routes/rewards.js";
+import studentQuizRoutes from "../routes/studentQuiz.js";
+import { ledgerBalance } from "../utils/ledger.js";
+import { institutionToday } from "../utils/settings.js";
+import { startDatabase, clearDatabase, startApp, tokenFor, postJson } from "./helpers.js";
+
+/*
+  Hint spends and redemptions share the wallet guard (utils/ledger.js
+  lockWallet): however they interleave, a student never spends
+  diamonds they do not have.
+*/
+
+const BALANCE = 10;
+
+let stopDatabase;
+let app;
+let today;
+let student;
+let token;
+let question;
+let reward;
+
+before(async () => {
+  stopDatabase = await startDatabase();
+  app = await startApp({ "/api/student-quiz": studentQuizRoutes, "/api/rewards": rewardRoutes });
+});
+
+after(async () => {
+  // setup may have failed part way
+  if (app) await app.close();
+  if (stopDatabase) await stopDatabase();
+});
+
+beforeEach(async () => {
+  await clearDatabase();
+  today = await institutionToday();
+
+  student = await Student.create({
+    name: "Wallet Student",
+    email: "wallet@example.com",
+    phone: "0000000000",
+    dob: "2012-01-01",
+    gender: "other",
+    className: "7A",
+    password: "x",
+  });
+  token = tokenFor(student);
+
+  await DiamondLedger.create({
+    studentId: student._id,
+    type: "admin-adjustment",
+    amount: BALANCE,
+    reason: "Test balance",
+  });
+
+  question = await Quiz.create({
+    date: today,
+    level: "beginner",
+    question: "2 + 2?",
+    options: ["3", "4", "5", "6"],
+    correctIndex: 1,
+    status: "published",
+    hints: [
+      { text: "Count on your fingers", cost: BALANCE },
+      { text: "It is even", cost: BALANCE },
+    ],
+  });
+  reward = await Reward.create({ name: "Sticker", price: BALANCE });
+});
+
+function buyHint(hintIndex) {
+  return postJson(
+    `${app.url}/api/student-quiz/hint`,
+    { questionId: String(question._id), date: today, level: "beginner", hintIndex },
+    { token }
+  );
+}
+
+function redeem() {
+  return postJson(`${app.url}/api/rewards/${reward._id}/redeem`, {}, { token });
+}
+
+test("a hint and a redemption in parallel cannot both spend the balance", async () => {
+  const [hint, redemption] = await Promise.all([buyHint(0), redeem()]);
+
+  const succeeded = [hint.status === 200 && hint.body.charged === BALANCE, redemption.status === 201];
+  assert.equal(succeeded.filter(Boolean).length, 1);
+  assert.ok([hint.status, redemption.status].includes(400));
+  assert.equal(await ledgerBalance(student._id), 0);
+});
+
+test("two hints bought in parallel stop at the balance", async () => {
+  const results = await Promise.all([buyHint(0), buyHint(1)]);
+
+  assert.equal(results.filter((r) => r.status === 200 && r.body.charged === BALANCE).length, 1);
+  assert.equal(results.filter((r) => r.status === 400).length, 1);
+  assert.equal(await ledgerBalance(student._id), 0);
+});
+
+test("the same hint tapped several times at once is charged once", async () => {
+  const results = await Promise.all([buyHint(0), buyHint(0), buyHint(0), buyHint(0)]);
+
+  results.forEach((r) => assert.equal(r.status, 200));
+  assert.equal(results.reduce((sum, r) => sum + r.body.charged, 0), BALANCE);
+  assert.equal(await ledgerBalance(student._id), 0);
+  assert.equal(await DiamondLedger.countDocuments({ studentId: student._id, type: "hint-spend" }), 1);
+});
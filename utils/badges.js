@@ -0,0 +1,242 @@
+// backend/utils/badges.js
+import mongoose from "mongoose";
+import BadgeRule from "../models/BadgeRule.js";
+import StudentBadge from "../models/StudentBadge.js";
+import StudentQuizProgress from "../models/StudentQuizProgress.js";
+import StudentStreak from "../models/StudentStreak.js";
+import { normalizeLevel } from "./scoring.js";
+import { addDays, todayString, weekStart } from "./dates.js";
+import { getSettings } from "./settings.js";
+
+/*
+  Measures a badge rule can use. Every one except weeklyRank is worked
+  out for a single student and checked whenever they save an answer;
+  weeklyRank needs every student and is only checked by the job
+  (evaluateBadges.js / POST /api/badges/evaluate) once a week is over.
+*/
+export const BADGE_METRICS = {
+  perfectDays: "quizzes (date + level) completed with every answer right first try",
+  firstTryCorrect: "answers right on the first try",
+  correctAnswers: "correct answers",
+  completedDays: "completed quizzes (date + level)",
+  allLevelsDays: "dates with every level completed",
+  longestStreak: "longest participation streak in days",
+  quizDiamonds: "diamonds earned in quizzes",
+  weeklyRank: "rank on a week's leaderboard, earned when rank <= threshold",
+};
+
+const ALL_LEVELS = ["beginner", "intermediate", "advance"];
+
+export const DEFAULT_BADGE_RULES = [
+  {
+    key: "first-perfect-day",
+    name: "Perfect Day",
+    description: "Every question of a quiz right on the first try",
+    icon: "🌟",
+    metric: "perfectDays",
+    threshold: 1,
+  },
+  {
+    key: "ten-first-try",
+    name: "Sharp Shooter",
+    description: "10 answers right on the first try",
+    icon: "🎯",
+    metric: "firstTryCorrect",
+    threshold: 10,
+  },
+  {
+    key: "weekly-top-3",
+    name: "Top 3 of the Week",
+    description: "Finished a week in the top 3",
+    icon: "🏆",
+    metric: "weeklyRank",
+    threshold: 3,
+  },
+  {
+    key: "all-levels-day",
+    name: "All Rounder",
+    description: "Completed every level on the same date",
+    icon: "🧩",
+    metric: "allLevelsDays",
+    threshold: 1,
+  },
+];
+
+// Seeds the default rules the first time, later edits and deletions stay
+export async function getBadgeRules(filter = {}) {
+  if (!(await BadgeRule.estimatedDocumentCount())) {
+    await BadgeRule.bulkWrite(
+      DEFAULT_BADGE_RULES.map((rule) => ({
+        updateOne: { filter: { key: rule.key }, update: { $setOnInsert: rule }, upsert: true },
+      }))
+    );
+  }
+  return BadgeRule.find(filter).sort({ createdAt: 1 }).lean();
+}
+
+// Returns an error message, or null when the rule is usable
+export function validateBadgeRule(rule) {
+  if (!rule.key || !/^[a-z0-9-]+$/.test(rule.key)) {
+    return "key must be lowercase letters, digits and dashes";
+  }
+  if (!rule.name) return "name is required";
+  if (!BADGE_METRICS[rule.metric]) {
+    return `metric must be one of ${Object.keys(BADGE_METRICS).join(", ")}`;
+  }
+  if (!Number.isFinite(Number(rule.threshold)) || Number(rule.threshold) < 1) {
+    return "threshold must be a number of at least 1";
+  }
+  if (rule.level && !ALL_LEVELS.includes(normalizeLevel(rule.level))) {
+    return `level must be one of ${ALL_LEVELS.join(", ")}`;
+  }
+  return null;
+}
+
+// Per-student values of every metric, for one level or all of them
+function progressMetrics(progresses, level) {
+  const rows = level
+    ? progresses.filter((p) => normalizeLevel(p.level) === normalizeLevel(level))
+    : progresses;
+
+  const metrics = {
+    perfectDays: 0,
+    firstTryCorrect: 0,
+    correctAnswers: 0,
+    completedDays: 0,
+    quizDiamonds: 0,
+  };
+
+  rows.forEach((p) => {
+    const answers = (p.answers || []).filter((a) => Number(a.attempts || 0) > 0);
+    answers.forEach((a) => {
+      if (a.isCorrect) metrics.correctAnswers += 1;
+      if (a.isCorrect && Number(a.attempts) === 1) metrics.firstTryCorrect += 1;
+      metrics.quizDiamonds += Number(a.earnedDiamonds || 0);
+    });
+    if (p.completed && answers.length) {
+      metrics.completedDays += 1;
+      if (answers.every((a) => a.isCorrect && Number(a.attempts) === 1)) {
+        metrics.perfectDays += 1;
+      }
+    }
+  });
+
+  const levelsByDate = {};
+  progresses.forEach((p) => {
+    if (!p.completed || !(p.answers || []).length) return;
+    (levelsByDate[p.date] = levelsByDate[p.date] || new Set()).add(normalizeLevel(p.level));
+  });
+  metrics.allLevelsDays = Object.values(levelsByDate).filter((set) =>
+    ALL_LEVELS.every((l) => set.has(l))
+  ).length;
+
+  return metrics;
+}
+
+function badgeWrite(studentId, rule, period, value) {
+  return {
+    updateOne: {
+      filter: { studentId, ruleId: rule._id, period },
+      update: { $setOnInsert: { key: rule.key, value, earnedAt: new Date() } },
+      upsert: true,
+    },
+  };
+}
+
+// Awards, returns the badges that are new
+async function award(writes, rules) {
+  if (!writes.length) return [];
+  const result = await StudentBadge.bulkWrite(writes, { ordered: false });
+  const ids = Object.values(result.upsertedIds || {});
+  if (!ids.length) return [];
+
+  const byId = Object.fromEntries(rules.map((r) => [String(r._id), r]));
+  const badges = await StudentBadge.find({ _id: { $in: ids } }).lean();
+  return badges.map((b) => ({ ...b, rule: byId[String(b.ruleId)] }));
+}
+
+/*
+  Checks every active per-student rule for one student.
+  Returns the badges earned by this call.
+*/
+export async function evaluateStudentBadges(studentId) {
+  const id = new mongoose.Types.ObjectId(String(studentId));
+  const rules = (await getBadgeRules({ active: true })).filter((r) => r.metric !== "weeklyRank");
+  if (!rules.length) return [];
+
+  const progresses = await StudentQuizProgress.find({ studentId: id, voided: { $ne: true } })
+    .select("date level completed answers.attempts answers.isCorrect answers.earnedDiamonds")
+    .lean();
+  const streak = await StudentStreak.findOne({ studentId: id }).select("longest").lean();
+
+  const metricsByLevel = {};
+  const writes = [];
+  rules.forEach((rule) => {
+    const levelKey = rule.level ? normalizeLevel(rule.level) : "";
+    metricsByLevel[levelKey] = metricsByLevel[levelKey] || progressMetrics(progresses, levelKey);
+    const value =
+      rule.metric === "longestStreak"
+        ? Number(streak?.longest || 0)
+        : metricsByLevel[levelKey][rule.metric];
+
+    if (Number(value) >= Number(rule.threshold)) {
+      writes.push(badgeWrite(id, rule, "", value));
+    }
+  });
+
+  return award(writes, rules);
+}
+
+// Monday of the week before the one `today` is in
+export function lastWeekStart(today) {
+  return addDays(weekStart(today), -7);
+}
+
+/*
+  weeklyRank rules for the week starting on `weekStart` (Monday).
+  Ranks by quiz diamonds of that week, ties share a rank.
+  Returns the number of badges awarded.
+*/
+export async function evaluateWeeklyBadges(weekStart) {
+  const rules = (await getBadgeRules({ active: true })).filter((r) => r.metric === "weeklyRank");
+  if (!rules.length) return 0;
+
+  const weekEnd = addDays(weekStart, 6);
+  const writes = [];
+
+  for (const rule of rules) {
+    const match = { date: { $gte: weekStart, $lte: weekEnd } };
+    // stored levels vary ("advance" / "advanced"), match on the prefix
+    if (rule.level) match.level = new RegExp(`^${normalizeLevel(rule.level).slice(0, 3)}`, "i");
+
+    const totals = await StudentQuizProgress.aggregate([
+      { $match: match },
+      { $group: { _id: "$studentId", total: { $sum: { $ifNull: ["$totalDiamonds", 0] } } } },
+      { $match: { total: { $gt: 0 } } },
+      { $sort: { total: -1 } },
+    ]);
+
+    let rank = 0;
+    totals.forEach((t, i) => {
+      if (i === 0 || t.total !== totals[i - 1].total) rank = i + 1;
+      if (rank <= Number(rule.threshold)) writes.push(badgeWrite(t._id, rule, weekStart, rank));
+    });
+  }
+
+  return (await award(writes, rules)).length;
+}
+
+// The periodic job: every student's badges plus last week's ranks
+export async function evaluateAllBadges({ weekStart } = {}) {
+  const { timezone } = await getSettings();
+  const week = weekStart || lastWeekStart(todayString(new Date(), timezone));
+
+  const studentIds = await StudentQuizProgress.distinct("studentId");
+  let awarded = 0;
+  for (const studentId of studentIds) {
+    awarded += (await evaluateStudentBadges(studentId)).length;
+  }
+  awarded += await evaluateWeeklyBadges(week);
+
+  return { students: studentIds.length, weekStart: week, awarded };
+}
@@ -0,0 +1,36 @@
+// backend/utils/dates.js
+// Quiz dates are plain "YYYY-MM-DD" strings, these helpers keep them that way.
+
+export function isDateString(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value || "")) && !Number.isNaN(Date.parse(value));
+}
+
+// Calendar date of `now` in the given IANA time zone
+export function todayString(now = new Date(), timeZone = "UTC") {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(now);
+}
+
+export function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// Monday of the week `date` is in
+export function weekStart(date) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay(); // 0 = Sunday
+  return addDays(date, -((weekday + 6) % 7));
+}
+
+// Inclusive list of dates from..to
+export function dateRange(from, to) {
+  const dates = [];
+  for (let d = from; d <= to; d = addDays(d, 1)) dates.push(d);
+  return dates;
+}
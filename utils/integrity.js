@@ -0,0 +1,225 @@
+// backend/utils/integrity.js
+import mongoose from "mongoose";
+import AnswerEvent from "../models/AnswerEvent.js";
+import IntegrityFlag from "../models/IntegrityFlag.js";
+import StudentQuizProgress from "../models/StudentQuizProgress.js";
+import { normalizeLevel } from "./scoring.js";
+import { recordEntries } from "./ledger.js";
+import { getSettings } from "./settings.js";
+import { refreshStandings } from "./standings.js";
+
+/*
+  Answer integrity. Every saved quiz answer is logged as an AnswerEvent
+  and checked for:
+    fast-correct      correct first try in under FAST_CORRECT_MS from
+                      when the question was shown
+    perfect-advanced  the last PERFECT_ADVANCED_DAYS completed advance
+                      quizzes all answered right first try
+    shared-device     SHARED_MIN_ACCOUNTS or more students answering from
+    shared-ip         one device / IP within SHARED_WINDOW_MS
+  The IP check is off unless settings.sharedIpCheck is on: behind a
+  proxy without TRUST_PROXY (server.js), or on a school network, a whole
+  class answers from one address.
+  Findings become IntegrityFlags for superadmin review. Voiding takes a
+  student's diamonds of that date off the progress and the ledger.
+*/
+export const FLAG_TYPES = ["fast-correct", "perfect-advanced", "shared-device", "shared-ip"];
+
+export const FLAG_STATUSES = ["open", "dismissed", "voided"];
+
+const FAST_CORRECT_MS = 1000;
+const PERFECT_ADVANCED_DAYS = 3;
+const SHARED_WINDOW_MS = 10 * 1000;
+const SHARED_MIN_ACCOUNTS = 3;
+
+// Where a request came from. req.ip is the proxy's address unless
+// Express is told to trust it (TRUST_PROXY, see server.js).
+export function requestMeta(req) {
+  return {
+    ip: req.ip || null,
+    deviceId: String(req.get("X-Device-Id") || "").trim().slice(0, 200) || null,
+    userAgent: String(req.get("User-Agent") || "").slice(0, 300) || null,
+  };
+}
+
+// Milliseconds since the question was shown (questionStarts), else since
+// the day's previous answer or the first fetch
+export function elapsedSince(progress, questionId, now = new Date()) {
+  const shown = (progress.questionStarts || []).find((s) => s.questionId === String(questionId));
+  if (shown) return Math.max(0, now.getTime() - new Date(shown.at).getTime());
+
+  let last = progress.startedAt ? new Date(progress.startedAt) : null;
+  (progress.answers || []).forEach((a) => {
+    (a.submissions || []).forEach((s) => {
+      if (s.at && (!last || new Date(s.at) > last)) last = new Date(s.at);
+    });
+  });
+  return last ? Math.max(0, now.getTime() - last.getTime()) : null;
+}
+
+function flagWrite(flag) {
+  return {
+    updateOne: {
+      filter: { key: flag.key },
+      update: { $setOnInsert: { ...flag, status: "open" } },
+      upsert: true,
+    },
+  };
+}
+
+async function sharedSourceFlags(event, field, type) {
+  const value = event[field];
+  if (!value) return [];
+
+  const at = new Date(event.at);
+  const accounts = await AnswerEvent.distinct("studentId", {
+    [field]: value,
+    at: { $gte: new Date(at.getTime() - SHARED_WINDOW_MS), $lte: at },
+  });
+  if (accounts.length < SHARED_MIN_ACCOUNTS) return [];
+
+  // every account of the group is flagged, once per date and source
+  return accounts.map((studentId) => ({
+    studentId,
+    date: event.date,
+    type,
+    key: `${type}:${studentId}:${event.date}:${value}`,
+    details: { [field]: value, accounts: accounts.map(String), windowMs: SHARED_WINDOW_MS },
+  }));
+}
+
+async function perfectAdvancedFlag(event) {
+  const recent = await StudentQuizProgress.find({
+    studentId: event.studentId,
+    level: /^adv/i,
+    completed: true,
+    "answers.0": { $exists: true },
+  })
+    .sort({ date: -1 })
+    .limit(PERFECT_ADVANCED_DAYS)
+    .select("date answers.attempts answers.isCorrect")
+    .lean();
+
+  const perfect = recent.every((p) =>
+    p.answers
+      .filter((a) => Number(a.attempts || 0) > 0)
+      .every((a) => a.isCorrect && Number(a.attempts) === 1)
+  );
+  if (recent.length < PERFECT_ADVANCED_DAYS || !perfect) return null;
+
+  return {
+    studentId: event.studentId,
+    date: event.date,
+    level: event.level,
+    type: "perfect-advanced",
+    key: `perfect-advanced:${event.studentId}:${event.date}`,
+    details: { dates: recent.map((p) => p.date).reverse() },
+  };
+}
+
+/*
+  Logs one saved answer and raises the flags it triggers.
+  `completedNow` is true when this answer completed the day.
+  Returns the number of new flags.
+*/
+export async function recordAnswerEvent(event, { completedNow = false } = {}) {
+  const saved = (await AnswerEvent.create(event)).toObject();
+  const flags = [];
+
+  // a quick right pick after a wrong one is normal, only first tries count
+  const fast =
+    saved.isCorrect && saved.attempt === 1 && saved.elapsedMs !== null && saved.elapsedMs < FAST_CORRECT_MS;
+  if (fast) {
+    flags.push({
+      studentId: saved.studentId,
+      date: saved.date,
+      level: saved.level,
+      type: "fast-correct",
+      key: `fast-correct:${saved.studentId}:${saved.questionId}`,
+      details: { questionId: saved.questionId, elapsedMs: saved.elapsedMs, attempt: saved.attempt },
+    });
+  }
+
+  if (completedNow && normalizeLevel(saved.level) === "advance") {
+    const flag = await perfectAdvancedFlag(saved);
+    if (flag) flags.push(flag);
+  }
+
+  flags.push(...(await sharedSourceFlags(saved, "deviceId", "shared-device")));
+  if ((await getSettings()).sharedIpCheck) {
+    flags.push(...(await sharedSourceFlags(saved, "ip", "shared-ip")));
+  }
+
+  if (!flags.length) return 0;
+  const result = await IntegrityFlag.bulkWrite(flags.map(flagWrite), { ordered: false });
+  return result.upsertedCount || 0;
+}
+
+/*
+  Voids every level of one student's date: progress totals and the
+  per answer earnings and hint costs go to 0 (the total is kept in
+  voidedDiamonds) and the ledger gets a matching negative
+  adjustment per progress. Voided days take no more answers.
+  Returns the diamonds taken off.
+*/
+export async function voidDay(studentId, date, { by, note } = {}) {
+  const id = new mongoose.Types.ObjectId(String(studentId));
+  const session = await mongoose.startSession();
+  let voided = 0;
+
+  try {
+    await session.withTransaction(async () => {
+      voided = 0;
+      const progresses = await StudentQuizProgress.find({ studentId: id, date, voided: { $ne: true } })
+        .select("level totalDiamonds")
+        .session(session)
+        .lean();
+      if (!progresses.length) return;
+
+      await StudentQuizProgress.updateMany(
+        { _id: { $in: progresses.map((p) => p._id) } },
+        [
+          {
+            $set: {
+              voided: true,
+              voidedDiamonds: { $ifNull: ["$totalDiamonds", 0] },
+              totalDiamonds: 0,
+              // per answer figures follow, so progressTotal() agrees with the total
+              answers: {
+                $map: {
+                  input: { $ifNull: ["$answers", []] },
+                  in: { $mergeObjects: ["$$this", { earnedDiamonds: 0, hintCost: 0 }] },
+                },
+              },
+              rev: { $add: [{ $ifNull: ["$rev", 0] }, 1] },
+            },
+          },
+        ],
+        { session, updatePipeline: true }
+      );
+
+      await recordEntries(
+        progresses.map((p) => ({
+          studentId: id,
+          type: "admin-adjustment",
+          amount: -Number(p.totalDiamonds || 0),
+          reason: `Voided after integrity review${note ? `: ${note}` : ""}`,
+          refType: "progress",
+          refId: p._id,
+          date,
+          level: p.level,
+          key: `void:${p._id}`,
+          createdBy: by,
+        })),
+        { session }
+      );
+
+      voided = progresses.reduce((sum, p) => sum + Number(p.totalDiamonds || 0), 0);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  await refreshStandings(id, [date]);
+  return voided;
+}
@@ -0,0 +1,185 @@
+// backend/utils/leaderboard.js
+import mongoose from "mongoose";
+import Student from "../models/Student.js";
+import StudentQuizProgress from "../models/StudentQuizProgress.js";
+import { normalizeLevel } from "./scoring.js";
+import { addDays, isDateString, weekStart } from "./dates.js";
+import {
+  METRIC_FIELDS,
+  progressMetrics,
+  addMetrics,
+  emptyMetrics,
+  compareRows,
+  assignRanks,
+} from "./ranking.js";
+
+/*
+  Leaderboard scopes. A period picks the quiz dates that count:
+    all     every date
+    day     `date` (default today)
+    week    Monday..Sunday around `date`
+    month   the calendar month of `date`
+    term    `term` by name, or the term `date` falls in (settings.terms)
+    custom  `from`..`to`
+  and can be narrowed to one level and/or one class.
+  all / day / week / month are read from the materialized standings
+  (utils/standings.js); terms and custom ranges are aggregated here.
+*/
+export const PERIODS = ["all", "day", "week", "month", "term", "custom"];
+
+// Reported level names, as on the existing leaderboard responses
+export const LEVEL_KEYS = { beginner: "beginner", intermediate: "intermediate", advance: "advanced" };
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// "advanced" for "advance", "Advanced", ...; null for unknown levels
+export function levelKey(level) {
+  return LEVEL_KEYS[normalizeLevel(level)] || null;
+}
+
+/*
+  Date range of a period. Returns { period, from, to } (from / to null
+  for all time) plus `term` for terms. Throws a 400 error when invalid.
+*/
+export function periodRange({ period = "all", date, from, to, term } = {}, today, terms = []) {
+  if (!PERIODS.includes(period)) {
+    throw badRequest(`period must be one of ${PERIODS.join(", ")}`);
+  }
+  if (date && !isDateString(date)) throw badRequest("date must be YYYY-MM-DD");
+  const day = date || today;
+
+  if (period === "all") return { period, from: null, to: null };
+  if (period === "day") return { period, from: day, to: day };
+
+  if (period === "week") {
+    const start = weekStart(day);
+    return { period, from: start, to: addDays(start, 6) };
+  }
+
+  if (period === "month") {
+    const first = `${day.slice(0, 7)}-01`;
+    const nextMonth = addDays(first, 31).slice(0, 7);
+    return { period, from: first, to: addDays(`${nextMonth}-01`, -1) };
+  }
+
+  if (period === "term") {
+    const found = term
+      ? terms.find((t) => t.name === term)
+      : terms.find((t) => t.from <= day && day <= t.to);
+    if (!found) throw badRequest(term ? `Unknown term: ${term}` : `No term covers ${day}`);
+    return { period, from: found.from, to: found.to, term: found.name };
+  }
+
+  if (!isDateString(from) || !isDateString(to) || from > to) {
+    throw badRequest("custom period needs from and to (YYYY-MM-DD), from <= to");
+  }
+  return { period, from, to };
+}
+
+// StudentQuizProgress filter for a date range and optional level.
+// Progress only counts once it has an answer, as in the standings.
+export function progressMatch({ from, to, level } = {}) {
+  const match = { "answers.0": { $exists: true } };
+  if (from || to) {
+    match.date = {};
+    if (from) match.date.$gte = from;
+    if (to) match.date.$lte = to;
+  }
+  // stored levels vary ("advance" / "advanced"), match on the prefix
+  if (level) match.level = new RegExp(`^${normalizeLevel(level).slice(0, 3)}`, "i");
+  return match;
+}
+
+/*
+  Per student figures of every progress in a date range, overall and
+  per level. Streamed, so a long range is never loaded at once.
+*/
+async function scopeMetrics({ from, to }) {
+  const byStudent = {};
+  const cursor = StudentQuizProgress.find(progressMatch({ from, to }))
+    .select(`studentId level ${METRIC_FIELDS}`)
+    .lean()
+    .cursor();
+
+  for await (const p of cursor) {
+    const id = String(p.studentId);
+    const row = (byStudent[id] = byStudent[id] || { studentId: id, all: emptyMetrics(), levels: {} });
+    const metrics = progressMetrics(p);
+    addMetrics(row.all, metrics);
+    const key = levelKey(p.level);
+    if (key) row.levels[key] = addMetrics(row.levels[key] || emptyMetrics(), metrics);
+  }
+
+  // students deleted since are left out
+  const students = await Student.find({ _id: { $in: Object.keys(byStudent) } })
+    .select("name email className")
+    .lean();
+  return students.map((s) => ({
+    ...byStudent[String(s._id)],
+    name: s.name || s.email,
+    email: s.email,
+    className: s.className,
+  }));
+}
+
+// One board out of scopeMetrics rows, ranked in `mode`
+function rankBoard(rows, { level, className } = {}, mode = "competition") {
+  const key = level ? levelKey(level) : null;
+  const board = rows
+    .filter((r) => !className || r.className === className)
+    .filter((r) => !key || r.levels[key])
+    .map((r) => ({
+      studentId: r.studentId,
+      name: r.name,
+      email: r.email,
+      className: r.className,
+      ...(key ? r.levels[key] : r.all),
+    }))
+    .sort(compareRows(mode));
+  return assignRanks(board, mode);
+}
+
+/*
+  One page of a term or custom range board, same rows as
+  standingsPage: { rows: [{ studentId, name, email, className, score,
+  attempts, firstTry, reachedAt, rank }], total }
+*/
+export async function leaderboardRows(
+  { from, to, level, className } = {},
+  { skip = 0, limit = 10, mode = "competition" } = {}
+) {
+  const board = rankBoard(await scopeMetrics({ from, to }), { level, className }, mode);
+  return { rows: board.slice(skip, skip + limit), total: board.length };
+}
+
+/*
+  One student's rank in a date range: overall, within `className`
+  and per level. Each is { rank, total, of }, rank null when the
+  student has no diamonds rows in that scope.
+*/
+export async function studentRanks(studentId, className, { from, to } = {}, mode = "competition") {
+  const rows = await scopeMetrics({ from, to });
+  const id = String(new mongoose.Types.ObjectId(String(studentId)));
+
+  const rankOn = (board) => {
+    const own = board.find((r) => r.studentId === id);
+    return { rank: own ? own.rank : null, total: own ? own.score : 0, of: board.length };
+  };
+
+  const levels = {};
+  Object.values(LEVEL_KEYS).forEach((key) => {
+    levels[key] = rankOn(rankBoard(rows, { level: key }, mode));
+  });
+
+  return {
+    from: from || null,
+    to: to || null,
+    overall: rankOn(rankBoard(rows, {}, mode)),
+    class: rankOn(rankBoard(rows, { className }, mode)),
+    levels,
+  };
+}
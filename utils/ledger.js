@@ -0,0 +1,131 @@
+// backend/utils/ledger.js
+import mongoose from "mongoose";
+import DiamondLedger from "../models/DiamondLedger.js";
+import Student from "../models/Student.js";
+
+/*
+  Diamond ledger. The balance of a student is the sum of their entries.
+    earn              diamonds for a correct answer
+    bonus             streak milestone bonus
+    hint-spend        hint unlocked (negative)
+    redemption        reward redeemed (negative) or refunded
+    admin-adjustment  manual change or regrade correction
+  Entries with a `key` are written once: repeating the same write
+  (retries, backfill) is a no-op.
+*/
+export const LEDGER_TYPES = ["earn", "bonus", "hint-spend", "redemption", "admin-adjustment"];
+
+function isDuplicateOnly(err) {
+  if (err.code === 11000) return true;
+  const writeErrors = err.writeErrors || [];
+  return writeErrors.length > 0 && writeErrors.every((e) => (e.code ?? e.err?.code) === 11000);
+}
+
+// Inserts entries, skipping keys that already exist. Returns how many are new.
+// Pass { session } to write inside a transaction.
+export async function recordEntries(entries, { session } = {}) {
+  const list = entries.filter((e) => e && Number(e.amount));
+  if (!list.length) return 0;
+
+  try {
+    const inserted = await DiamondLedger.insertMany(list, { ordered: false, session });
+    return inserted.length;
+  } catch (err) {
+    if (!isDuplicateOnly(err)) throw err;
+    return err.insertedDocs?.length || 0;
+  }
+}
+
+/*
+  Every spend (redemption, hint) calls this first inside its transaction.
+  It writes the student document, so two spends of one student conflict
+  and the second is retried after the first, seeing its ledger entry in
+  the balance. Returns false when studentId is not a student.
+*/
+export async function lockWallet(studentId, { session }) {
+  const result = await Student.updateOne(
+    { _id: studentId },
+    { $inc: { walletVersion: 1 } },
+    { session }
+  );
+  return result.matchedCount > 0;
+}
+
+export async function ledgerBalance(studentId, { session } = {}) {
+  const result = await DiamondLedger.aggregate([
+    { $match: { studentId: new mongoose.Types.ObjectId(String(studentId)) } },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]).session(session || null);
+  return (result[0] && Number(result[0].total)) || 0;
+}
+
+// Newest first. Options: page, limit (max 100), type
+export async function ledgerStatement(studentId, { page = 1, limit = 20, type } = {}) {
+  const filter = { studentId: new mongoose.Types.ObjectId(String(studentId)) };
+  if (type) filter.type = type;
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+  const [entries, total, balance] = await Promise.all([
+    DiamondLedger.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    DiamondLedger.countDocuments(filter),
+    ledgerBalance(studentId),
+  ]);
+
+  return {
+    entries,
+    total,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum),
+    balance,
+  };
+}
+
+// Ledger entries for one progress answer, keyed so they are written once
+export function earnEntry(progress, questionId, amount, attempt) {
+  return {
+    studentId: progress.studentId,
+    type: "earn",
+    amount,
+    reason: `Correct answer on attempt ${attempt}`,
+    refType: "progress",
+    refId: progress._id,
+    questionId: String(questionId),
+    date: progress.date,
+    level: progress.level,
+    key: `earn:${progress._id}:${questionId}`,
+  };
+}
+
+export function hintEntry(progress, questionId, cost, hintIndex) {
+  return {
+    studentId: progress.studentId,
+    type: "hint-spend",
+    amount: -cost,
+    reason: `Hint ${hintIndex + 1} unlocked`,
+    refType: "progress",
+    refId: progress._id,
+    questionId: String(questionId),
+    date: progress.date,
+    level: progress.level,
+    key: `hint:${progress._id}:${questionId}:${hintIndex}`,
+  };
+}
+
+export function streakBonusEntry(bonus) {
+  return {
+    studentId: bonus.studentId,
+    type: "bonus",
+    amount: bonus.diamonds,
+    reason: `${bonus.milestone} day streak`,
+    refType: "streak-bonus",
+    refId: bonus._id,
+    date: bonus.reachedOn,
+    key: `streak:${bonus._id}`,
+  };
+}
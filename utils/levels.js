@@ -0,0 +1,212 @@
+// backend/utils/levels.js
+import mongoose from "mongoose";
+import Student from "../models/Student.js";
+import StudentQuizProgress from "../models/StudentQuizProgress.js";
+import { normalizeLevel } from "./scoring.js";
+import { addDays, todayString } from "./dates.js";
+import { getSettings } from "./settings.js";
+
+/*
+  Level recommendation and unlocking, from the student's recent
+  StudentQuizProgress (the last levelUnlock.windowDays days).
+  A level unlocks once the level below meets its thresholds in
+  settings.levelUnlock, e.g. intermediate: { minDays, minFirstTryRate }.
+  While levelUnlock.enforced is on, unlocks are saved on the student
+  (Student.unlockedLevels) after each answer and never taken back.
+  Everything else only reads.
+*/
+export const LEVELS = ["beginner", "intermediate", "advance"];
+
+// Below this first-try rate (over at least DROP_MIN_ANSWERS answers)
+// the level below is recommended
+const DROP_FIRST_TRY_RATE = 40;
+const DROP_MIN_ANSWERS = 10;
+
+function percent(part, whole) {
+  return whole ? Math.round((part / whole) * 100) : 0;
+}
+
+// Per-level accuracy of one student from `from` to `to`
+export async function levelStats(studentId, from, to) {
+  const progresses = await StudentQuizProgress.find({
+    studentId: new mongoose.Types.ObjectId(String(studentId)),
+    date: { $gte: from, $lte: to },
+  })
+    .select("date level answers.attempts answers.isCorrect")
+    .lean();
+
+  const stats = {};
+  LEVELS.forEach((l) => {
+    stats[l] = { days: 0, answered: 0, correct: 0, firstTry: 0, attempts: 0, lastDate: null };
+  });
+
+  progresses.forEach((p) => {
+    const s = stats[normalizeLevel(p.level)];
+    const answers = (p.answers || []).filter((a) => Number(a.attempts || 0) > 0);
+    if (!s || !answers.length) return;
+
+    s.days += 1;
+    if (!s.lastDate || p.date > s.lastDate) s.lastDate = p.date;
+    answers.forEach((a) => {
+      s.answered += 1;
+      s.attempts += Number(a.attempts);
+      if (a.isCorrect) s.correct += 1;
+      if (a.isCorrect && Number(a.attempts) === 1) s.firstTry += 1;
+    });
+  });
+
+  Object.values(stats).forEach((s) => {
+    s.accuracy = percent(s.correct, s.answered);
+    s.firstTryRate = percent(s.firstTry, s.answered);
+    s.avgAttempts = s.answered ? Math.round((s.attempts / s.answered) * 10) / 10 : 0;
+  });
+  return stats;
+}
+
+function meets(stats, threshold) {
+  return (
+    stats.days >= Number(threshold?.minDays || 0) &&
+    stats.firstTryRate >= Number(threshold?.minFirstTryRate || 0)
+  );
+}
+
+/*
+  Which levels the student may play, nothing is written. Returns
+  { enforced, unlocked, newlyUnlocked, requirements, stats, from, to }
+  where requirements lists, per locked-able level, what the level below
+  needs and newlyUnlocked the unlocked levels not saved yet.
+*/
+export async function levelAccess(studentId, now = new Date()) {
+  const { timezone, levelUnlock } = await getSettings();
+  const to = todayString(now, timezone);
+  const from = addDays(to, -(Number(levelUnlock.windowDays) - 1));
+
+  const student = await Student.findById(studentId).select("unlockedLevels").lean();
+  const stats = await levelStats(studentId, from, to);
+
+  const unlocked = ["beginner"];
+  const requirements = {};
+  const newlyUnlocked = [];
+  LEVELS.slice(1).forEach((level, i) => {
+    const below = LEVELS[i];
+    const threshold = levelUnlock[level] || {};
+    requirements[level] = {
+      from: below,
+      minDays: Number(threshold.minDays || 0),
+      minFirstTryRate: Number(threshold.minFirstTryRate || 0),
+      met: meets(stats[below], threshold),
+    };
+
+    const saved = (student?.unlockedLevels || []).includes(level);
+    if (saved || (unlocked.includes(below) && requirements[level].met)) {
+      unlocked.push(level);
+      if (!saved) newlyUnlocked.push(level);
+    }
+  });
+
+  return {
+    enforced: !!levelUnlock.enforced,
+    unlocked,
+    newlyUnlocked: student ? newlyUnlocked : [],
+    requirements,
+    stats,
+    from,
+    to,
+  };
+}
+
+// Saves the levels a student has just unlocked, from the answer path
+export async function saveLevelUnlocks(studentId, now = new Date()) {
+  const { levelUnlock } = await getSettings();
+  if (!levelUnlock.enforced) return;
+
+  const { newlyUnlocked } = await levelAccess(studentId, now);
+  if (newlyUnlocked.length) {
+    await Student.updateOne(
+      { _id: studentId },
+      { $addToSet: { unlockedLevels: { $each: newlyUnlocked } } }
+    );
+  }
+}
+
+/*
+  Route guard. Returns null when `user` may play `level`, otherwise
+  { message, requirement } for a 403. Staff and untracked levels pass.
+*/
+export async function levelLock(user, level) {
+  const lvl = normalizeLevel(level);
+  if (user?.role !== "student" || lvl === "beginner" || !LEVELS.includes(lvl)) return null;
+  if (!mongoose.Types.ObjectId.isValid(user.userId)) return null;
+
+  const { levelUnlock } = await getSettings();
+  if (!levelUnlock.enforced) return null;
+
+  const access = await levelAccess(user.userId);
+  if (access.unlocked.includes(lvl)) return null;
+
+  const need = access.requirements[lvl];
+  return {
+    message: `${lvl} is locked: needs ${need.minFirstTryRate}% first-try on ${need.from} over ${need.minDays} days`,
+    requirement: need,
+  };
+}
+
+function summary(stats, level, days) {
+  return `${stats.firstTryRate}% first-try on ${level} over ${stats.days} of the last ${days} days`;
+}
+
+/*
+  Suggested next level with a one line rationale. The current level is
+  the one played most recently; the student moves up once the next
+  level's thresholds are met and down when first-try answers drop
+  under DROP_FIRST_TRY_RATE.
+*/
+export async function recommendLevel(studentId, now = new Date()) {
+  const { levelUnlock } = await getSettings();
+  const days = Number(levelUnlock.windowDays);
+  const access = await levelAccess(studentId, now);
+  const { stats, requirements } = access;
+
+  const played = LEVELS.filter((l) => stats[l].lastDate);
+  const current = played.length
+    ? played.reduce((a, b) => (stats[b].lastDate > stats[a].lastDate ? b : a))
+    : null;
+
+  let level = current || "beginner";
+  let rationale;
+
+  if (!current) {
+    rationale = `No quizzes played in the last ${days} days, start with beginner`;
+  } else {
+    const idx = LEVELS.indexOf(current);
+    const next = LEVELS[idx + 1];
+    const s = stats[current];
+
+    if (next && requirements[next].met) {
+      level = next;
+      rationale = `${summary(s, current, days)}, ready for ${next}`;
+    } else if (idx > 0 && s.answered >= DROP_MIN_ANSWERS && s.firstTryRate < DROP_FIRST_TRY_RATE) {
+      level = LEVELS[idx - 1];
+      rationale = `Only ${summary(s, current, days)}, practise ${level} first`;
+    } else if (next) {
+      const need = requirements[next];
+      rationale =
+        `${summary(s, current, days)}; ${next} needs ${need.minFirstTryRate}% ` +
+        `over ${need.minDays} days`;
+    } else {
+      rationale = `${summary(s, current, days)}, already on the top level`;
+    }
+  }
+
+  return {
+    level,
+    current,
+    rationale,
+    enforced: access.enforced,
+    unlocked: access.unlocked,
+    requirements,
+    stats,
+    from: access.from,
+    to: access.to,
+  };
+}
@@ -0,0 +1,65 @@
+// backend/utils/publishing.js
+import { todayString } from "./dates.js";
+
+/*
+  Quiz status lifecycle:
+    draft      only admins see it (preview)
+    scheduled  goes live at publishAt, or on its own date when
+               publishAt is not set. Quizzes saved before statuses
+               existed have no status and behave as scheduled.
+    published  live now
+    archived   hidden from students again
+*/
+export const QUIZ_STATUSES = ["draft", "scheduled", "published", "archived"];
+
+// Mongo filter for questions students may see right now. `today` is the
+// institution's date (utils/settings.js institutionToday), UTC if left out.
+export function publishedFilter(now = new Date(), today = todayString(now)) {
+  const pending = { $in: ["scheduled", null] };
+  return {
+    $or: [
+      { status: "published" },
+      { status: pending, publishAt: { $lte: now } },
+      { status: pending, publishAt: null, date: { $lte: today } },
+    ],
+  };
+}
+
+// Questions without classNames are for every class
+export function classFilter(className) {
+  const everyClass = [{ classNames: { $exists: false } }, { classNames: { $size: 0 } }];
+  return { $or: className ? [...everyClass, { classNames: className }] : everyClass };
+}
+
+// Questions one student gets for a date + level right now
+export function studentQuizFilter({ date, level, className, now = new Date(), today }) {
+  return {
+    date,
+    level,
+    $and: [publishedFilter(now, today), classFilter(className)],
+  };
+}
+
+export function targetsClass(quiz, className) {
+  if (!quiz.classNames || !quiz.classNames.length) return true;
+  return !!className && quiz.classNames.includes(className);
+}
+
+export function isPublished(quiz, now = new Date(), today = todayString(now)) {
+  const status = quiz.status || "scheduled";
+  if (status === "published") return true;
+  if (status !== "scheduled") return false;
+  if (quiz.publishAt) return new Date(quiz.publishAt) <= now;
+  return quiz.date <= today;
+}
+
+// Returns an error message, or null when status / publishAt are usable
+export function validatePublishing({ status, publishAt }) {
+  if (typeof status !== "undefined" && !QUIZ_STATUSES.includes(status)) {
+    return `status must be one of ${QUIZ_STATUSES.join(", ")}`;
+  }
+  if (publishAt && Number.isNaN(new Date(publishAt).getTime())) {
+    return "publishAt must be a date";
+  }
+  return null;
+}
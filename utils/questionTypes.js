@@ -0,0 +1,297 @@
+// backend/utils/questionTypes.js
+
+/*
+  Question types and the fields that hold their answer key:
+    single    options + correctIndex
+    multi     options + correctIndices (every correct option must be picked)
+    truefalse options ["True", "False"] + correctIndex
+    numeric   numericAnswer ± tolerance
+    text      acceptedAnswers (case-insensitive)
+*/
+export const QUESTION_TYPES = ["single", "multi", "truefalse", "numeric", "text"];
+
+export const TRUE_FALSE_OPTIONS = ["True", "False"];
+
+const ANSWER_KEY_FIELDS = ["correctIndex", "correctIndices", "numericAnswer", "acceptedAnswers"];
+
+export const DEFAULT_HINT_COST = 2;
+
+export function questionType(quiz) {
+  return quiz?.type || "single";
+}
+
+// Number() turns null and "" into 0, which would silently pick the first option
+function toNumber(value) {
+  if (value === null || typeof value === "undefined" || value === "") return NaN;
+  return Number(value);
+}
+
+function normalizeText(value) {
+  return String(value ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/*
+  Picks the fields used by the given type and returns
+  { data, errors }. Fields of other types are left out so that
+  they can be $unset when a question changes type.
+*/
+export function validateQuestionFields(input) {
+  const type = input.type || "single";
+  const errors = [];
+  const data = { type };
+
+  if (!QUESTION_TYPES.includes(type)) {
+    return { data, errors: [`type must be one of ${QUESTION_TYPES.join(", ")}`] };
+  }
+
+  if (type === "single" || type === "multi") {
+    const options = Array.isArray(input.options)
+      ? input.options.map((o) => String(o ?? "").trim())
+      : [];
+    if (options.length < 2 || options.some((o) => !o)) {
+      errors.push("at least 2 non-empty options are required");
+    }
+    data.options = options;
+  }
+
+  if (type === "single") {
+    const idx = toNumber(input.correctIndex);
+    if (!Number.isInteger(idx) || idx < 0 || idx >= data.options.length) {
+      errors.push("correctIndex must point at one of the options");
+    }
+    data.correctIndex = idx;
+  }
+
+  if (type === "multi") {
+    const indices = Array.isArray(input.correctIndices)
+      ? [...new Set(input.correctIndices.map(toNumber))].sort((a, b) => a - b)
+      : [];
+    if (
+      !indices.length ||
+      indices.some((i) => !Number.isInteger(i) || i < 0 || i >= data.options.length)
+    ) {
+      errors.push("correctIndices must list one or more option indexes");
+    }
+    data.correctIndices = indices;
+  }
+
+  if (type === "truefalse") {
+    let idx = input.correctIndex;
+    if (idx === true || idx === "true") idx = 0;
+    if (idx === false || idx === "false") idx = 1;
+    idx = toNumber(idx);
+    if (idx !== 0 && idx !== 1) {
+      errors.push("correctIndex must be 0 (True) or 1 (False)");
+    }
+    data.options = TRUE_FALSE_OPTIONS;
+    data.correctIndex = idx;
+  }
+
+  if (type === "numeric") {
+    const answer = toNumber(input.numericAnswer);
+    const tolerance = Number(input.tolerance || 0);
+    if (!Number.isFinite(answer)) {
+      errors.push("numericAnswer must be a number");
+    }
+    if (!Number.isFinite(tolerance) || tolerance < 0) {
+      errors.push("tolerance must be zero or a positive number");
+    }
+    data.numericAnswer = answer;
+    data.tolerance = tolerance;
+  }
+
+  if (type === "text") {
+    const accepted = Array.isArray(input.acceptedAnswers)
+      ? input.acceptedAnswers.map((a) => String(a ?? "").trim()).filter(Boolean)
+      : [];
+    if (!accepted.length) {
+      errors.push("acceptedAnswers must contain at least one answer");
+    }
+    data.acceptedAnswers = accepted;
+  }
+
+  return { data, errors };
+}
+
+// Answer-key fields that do not belong to the type, for $unset on edits
+export function unusedTypeFields(type) {
+  const used = {
+    single: ["options", "correctIndex"],
+    multi: ["options", "correctIndices"],
+    truefalse: ["options", "correctIndex"],
+    numeric: ["numericAnswer", "tolerance"],
+    text: ["acceptedAnswers"],
+  }[type] || [];
+
+  return ["options", "tolerance", ...ANSWER_KEY_FIELDS].filter((f) => !used.includes(f));
+}
+
+/*
+  Grades a student's answer. `answer` is an option index (single,
+  truefalse — true/false also accepted), an array of indexes (multi),
+  a number (numeric) or a string (text).
+  Returns { isCorrect } or { error } when the answer has the wrong shape.
+*/
+export function gradeAnswer(quiz, answer) {
+  const type = questionType(quiz);
+
+  if (type === "single" || type === "truefalse") {
+    let selected = answer;
+    if (type === "truefalse" && (answer === true || answer === false)) {
+      selected = answer ? 0 : 1;
+    }
+    selected = toNumber(selected);
+    if (!Number.isInteger(selected) || selected < 0) {
+      return { error: "answer must be an option index" };
+    }
+    return { isCorrect: selected === quiz.correctIndex };
+  }
+
+  if (type === "multi") {
+    if (!Array.isArray(answer) || answer.some((i) => !Number.isInteger(toNumber(i)))) {
+      return { error: "answer must be an array of option indexes" };
+    }
+    const picked = [...new Set(answer.map(Number))].sort((a, b) => a - b);
+    const correct = [...(quiz.correctIndices || [])].sort((a, b) => a - b);
+    return {
+      isCorrect:
+        picked.length === correct.length && picked.every((i, n) => i === correct[n]),
+    };
+  }
+
+  if (type === "numeric") {
+    const value = toNumber(answer);
+    if (!Number.isFinite(value)) {
+      return { error: "answer must be a number" };
+    }
+    // small epsilon so that 0.1 + 0.2 style float noise does not fail an exact answer
+    const tolerance = Number(quiz.tolerance || 0) + 1e-9;
+    return { isCorrect: Math.abs(value - quiz.numericAnswer) <= tolerance };
+  }
+
+  if (type === "text") {
+    if (typeof answer !== "string" || !answer.trim()) {
+      return { error: "answer must be a non-empty string" };
+    }
+    const given = normalizeText(answer);
+    return {
+      isCorrect: (quiz.acceptedAnswers || []).some((a) => normalizeText(a) === given),
+    };
+  }
+
+  return { error: "Unsupported question type" };
+}
+
+// Only the answer-key fields the question actually has
+export function answerKey(quiz) {
+  const key = {};
+  ANSWER_KEY_FIELDS.forEach((f) => {
+    if (typeof quiz[f] !== "undefined" && quiz[f] !== null) key[f] = quiz[f];
+  });
+  return key;
+}
+
+// Answer key plus explanation, sent once a question is locked
+export function solution(quiz) {
+  const out = answerKey(quiz);
+  if (quiz.explanation) out.explanation = quiz.explanation;
+  return out;
+}
+
+// Hints as a student sees them: cost always, text only once unlocked
+export function studentHints(quiz, unlocked = [], revealAll = false) {
+  return (quiz.hints || []).map((h, index) => {
+    const open = revealAll || unlocked.includes(index);
+    return { index, cost: Number(h.cost || 0), unlocked: open, ...(open && { text: h.text }) };
+  });
+}
+
+// Student-safe copy of a (lean) quiz document
+export function hideAnswerKey(quiz, unlockedHints = []) {
+  const out = { ...quiz };
+  ANSWER_KEY_FIELDS.forEach((f) => delete out[f]);
+  delete out.explanation;
+  if (quiz.hints) out.hints = studentHints(quiz, unlockedHints);
+  return out;
+}
+
+// Topic tags: trimmed, lowercase, no duplicates. Accepts an array,
+// JSON text or a comma separated string.
+export function parseTopics(raw) {
+  if (typeof raw === "undefined") return undefined;
+  const list = typeof raw === "string" && !raw.trim().startsWith("[")
+    ? raw.split(",")
+    : parseList(raw) || [];
+  return [...new Set(list.map((t) => String(t ?? "").trim().toLowerCase()).filter(Boolean))];
+}
+
+// Targeted classes: trimmed, case kept (must match Student.className).
+// Same input forms as parseTopics; an empty list means every class.
+export function parseClassNames(raw) {
+  if (typeof raw === "undefined") return undefined;
+  const list = typeof raw === "string" && !raw.trim().startsWith("[")
+    ? raw.split(",")
+    : parseList(raw) || [];
+  return [...new Set(list.map((c) => String(c ?? "").trim()).filter(Boolean))];
+}
+
+// Array fields arrive as JSON text on multipart requests
+function parseList(raw) {
+  if (typeof raw !== "string") return raw;
+  if (raw.trim().startsWith("[")) return JSON.parse(raw);
+  return raw ? [raw] : [];
+}
+
+// Explanation text. undefined leaves it alone, "" clears it.
+export function parseExplanation(raw) {
+  if (typeof raw === "undefined") return undefined;
+  return String(raw ?? "").trim();
+}
+
+// Hints are plain strings or { text, cost }, JSON text on multipart
+// requests. undefined leaves them alone, an empty list clears them.
+export function parseHints(raw) {
+  if (typeof raw === "undefined") return undefined;
+  if (raw === null || raw === "") return [];
+
+  const hints = (parseList(raw) || []).map((h) =>
+    h !== null && typeof h === "object"
+      ? { text: String(h.text ?? "").trim(), cost: toNumber(h.cost ?? DEFAULT_HINT_COST) }
+      : { text: String(h ?? "").trim(), cost: DEFAULT_HINT_COST }
+  );
+
+  if (hints.some((h) => !h.text)) {
+    const err = new Error("hints must have text");
+    err.status = 400;
+    throw err;
+  }
+  if (hints.some((h) => !Number.isInteger(h.cost) || h.cost < 0)) {
+    const err = new Error("hint cost must be a non-negative whole number");
+    err.status = 400;
+    throw err;
+  }
+
+  return hints;
+}
+
+// Type specific answer fields of a create/update body. Throws a 400 error
+// listing every problem when the fields do not fit the question type.
+export function parseQuestionFields(body, fallbackType) {
+  const { data, errors } = validateQuestionFields({
+    type: body.type || fallbackType,
+    options: parseList(body.options),
+    correctIndex: body.correctIndex,
+    correctIndices: parseList(body.correctIndices),
+    numericAnswer: body.numericAnswer,
+    tolerance: body.tolerance,
+    acceptedAnswers: parseList(body.acceptedAnswers),
+  });
+
+  if (errors.length) {
+    const err = new Error(errors.join(", "));
+    err.status = 400;
+    throw err;
+  }
+
+  return data;
+}
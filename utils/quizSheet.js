@@ -0,0 +1,455 @@
+// backend/utils/quizSheet.js
+import { Readable } from "stream";
+import ExcelJS from "exceljs";
+import { validateScoring } from "./scoring.js";
+import { validatePublishing } from "./publishing.js";
+import { LATE_ANSWER_POLICIES, parseTimeLimit } from "./timing.js";
+import {
+  validateQuestionFields,
+  answerKey,
+  questionType,
+  parseTopics,
+  parseClassNames,
+  parseHints,
+} from "./questionTypes.js";
+
+/*
+  Spreadsheet layout shared by quiz import and export.
+  One question per row:
+    Date | Level | Type | Question | Option 1 .. Option N | Correct
+    | Tolerance | Image URL | Explanation | Hints | Topics | Classes
+    | Ladder | Max Attempts | Status | Publish At | Time Limit
+    | Quiz Time Limit | Late Answers
+  "Correct" depends on Type (blank Type means single):
+    single    1-based option number (A/B/C... or the option text too)
+    multi     option numbers, "1|3"
+    truefalse true / false
+    numeric   the number, Tolerance holds the allowed ±
+    text      accepted answers, "colour|color"
+  Hints are "|" separated, each optionally ending in its diamond
+  cost, "Think of halves [2]|Draw it [5]".
+  Topics are "|" separated tags, Classes the "|" separated classes the
+  question is for (blank = every class). Ladder / Max Attempts hold the
+  optional per-question scoring override, ladder as "30|20|10".
+  Status is draft / scheduled / published / archived (blank =
+  scheduled), Publish At an ISO date-time (blank = the quiz date).
+  Time limits are in seconds (blank = untimed), Late Answers is
+  reject / zero (utils/timing.js).
+*/
+const HEADER_ALIASES = {
+  date: "date",
+  level: "level",
+  question: "question",
+  type: "type",
+  questiontype: "type",
+  correct: "correct",
+  correctanswer: "correct",
+  answer: "correct",
+  imageurl: "imageUrl",
+  image: "imageUrl",
+  explanation: "explanation",
+  hints: "hints",
+  topics: "topics",
+  tags: "topics",
+  classes: "classNames",
+  classnames: "classNames",
+  ladder: "ladder",
+  scoringladder: "ladder",
+  maxattempts: "maxAttempts",
+  tolerance: "tolerance",
+  status: "status",
+  publishat: "publishAt",
+  timelimit: "timeLimitSeconds",
+  timelimitseconds: "timeLimitSeconds",
+  quiztimelimit: "quizTimeLimitSeconds",
+  quiztimelimitseconds: "quizTimeLimitSeconds",
+  lateanswers: "lateAnswerPolicy",
+  lateanswerpolicy: "lateAnswerPolicy",
+};
+
+const TYPE_ALIASES = {
+  single: "single",
+  singlechoice: "single",
+  multi: "multi",
+  multiselect: "multi",
+  truefalse: "truefalse",
+  tf: "truefalse",
+  numeric: "numeric",
+  number: "numeric",
+  text: "text",
+  shorttext: "text",
+  shortanswer: "text",
+};
+
+const LEVELS = ["beginner", "intermediate", "advance", "advanced"];
+
+function headerKey(header) {
+  const key = String(header || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+  if (/^option\d+$/.test(key)) return key;
+  return HEADER_ALIASES[key] || null;
+}
+
+// Plain text for any exceljs cell value (rich text, hyperlink, formula, date)
+function cellText(value) {
+  if (value === null || typeof value === "undefined") return "";
+  if (value instanceof Date) {
+    // date-only cells stay YYYY-MM-DD, date-times (Publish At) keep their time
+    const iso = value.toISOString();
+    return iso.endsWith("T00:00:00.000Z") ? iso.slice(0, 10) : iso;
+  }
+  if (typeof value === "object") {
+    if (Array.isArray(value.richText)) return value.richText.map((r) => r.text).join("").trim();
+    if (value.hyperlink) return String(value.hyperlink).trim();
+    if (typeof value.text !== "undefined") return cellText(value.text);
+    if (typeof value.result !== "undefined") return cellText(value.result);
+    return "";
+  }
+  return String(value).trim();
+}
+
+export function sheetFormat(filename) {
+  const name = String(filename || "").toLowerCase();
+  if (name.endsWith(".xlsx")) return "xlsx";
+  if (name.endsWith(".csv")) return "csv";
+  if (name.endsWith(".json")) return "json";
+  return null;
+}
+
+// "text [cost]", JSON imports may also hold plain strings
+function hintCell(hint) {
+  if (typeof hint === "string") return hint;
+  return Number.isFinite(hint.cost) ? `${hint.text} [${hint.cost}]` : hint.text;
+}
+
+// ISO text of a date, or the raw value when it is not one (left to validation)
+function dateTimeText(value) {
+  if (!value) return "";
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+}
+
+// Quiz document -> row values, the inverse of validateQuizRow
+function questionToValues(q) {
+  const type = questionType(q);
+
+  let correct = "";
+  if (type === "multi") {
+    correct = (q.correctIndices || []).map((i) => i + 1).join("|");
+  } else if (type === "truefalse") {
+    correct = q.correctIndex === 0 ? "true" : q.correctIndex === 1 ? "false" : "";
+  } else if (type === "numeric") {
+    correct = Number.isFinite(q.numericAnswer) ? String(q.numericAnswer) : "";
+  } else if (type === "text") {
+    correct = (q.acceptedAnswers || []).join("|");
+  } else if (Number.isInteger(q.correctIndex)) {
+    correct = String(q.correctIndex + 1);
+  }
+
+  const values = {
+    date: q.date,
+    level: q.level,
+    type,
+    question: q.question,
+    correct,
+    tolerance: type === "numeric" && q.tolerance ? String(q.tolerance) : "",
+    imageUrl: q.imageUrl || "",
+    explanation: q.explanation || "",
+    hints: (q.hints || []).map(hintCell).join("|"),
+    topics: (q.topics || []).join("|"),
+    classNames: (q.classNames || []).join("|"),
+    ladder: (q.scoring?.ladder || []).join("|"),
+    maxAttempts: q.scoring?.maxAttempts ? String(q.scoring.maxAttempts) : "",
+    status: q.status || "",
+    publishAt: dateTimeText(q.publishAt),
+    timeLimitSeconds: q.timeLimitSeconds ? String(q.timeLimitSeconds) : "",
+    quizTimeLimitSeconds: q.quizTimeLimitSeconds ? String(q.quizTimeLimitSeconds) : "",
+    lateAnswerPolicy: q.lateAnswerPolicy || "",
+  };
+  (q.options || []).forEach((o, i) => {
+    values[`option${i + 1}`] = String(o);
+  });
+  return values;
+}
+
+// JSON exports: either an array of questions or { questions: [...] }
+function readQuizJson(buffer) {
+  const parsed = JSON.parse(buffer.toString("utf8"));
+  const list = Array.isArray(parsed) ? parsed : parsed?.questions;
+  if (!Array.isArray(list)) throw new Error("expected a questions array");
+
+  return list.map((q, i) => ({ row: i + 1, values: questionToValues(q || {}) }));
+}
+
+/*
+  Reads the first worksheet of an .xlsx / .csv buffer (or a JSON export).
+  Returns [{ row, values }] where values is keyed by normalized header.
+*/
+export async function readQuizSheet(buffer, format) {
+  if (format === "json") return readQuizJson(buffer);
+
+  const wb = new ExcelJS.Workbook();
+  let ws;
+
+  if (format === "csv") {
+    // keep every cell as the raw string, exceljs would otherwise turn
+    // "2025-05-20" into a Date and "007" into 7
+    ws = await wb.csv.read(Readable.from(buffer), {
+      map: (datum) => datum,
+    });
+  } else {
+    await wb.xlsx.load(buffer);
+    ws = wb.worksheets[0];
+  }
+
+  if (!ws) return [];
+
+  const headers = [];
+  ws.getRow(1).eachCell((cell, col) => {
+    headers[col] = headerKey(cellText(cell.value));
+  });
+
+  const rows = [];
+  ws.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    row.eachCell({ includeEmpty: true }, (cell, col) => {
+      if (headers[col]) values[headers[col]] = cellText(cell.value);
+    });
+
+    if (Object.values(values).every((v) => !v)) return; // blank line
+    rows.push({ row: rowNumber, values });
+  });
+
+  return rows;
+}
+
+/*
+  Validates one parsed row. Returns { data, errors } where data is ready
+  for Quiz.create when errors is empty.
+*/
+export function validateQuizRow(values) {
+  const errors = [];
+
+  const date = values.date || "";
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+    errors.push("date must be YYYY-MM-DD");
+  }
+
+  // kept as written (lowercased) so exports re-import unchanged
+  const level = String(values.level || "").trim().toLowerCase();
+  if (!LEVELS.includes(level)) {
+    errors.push(`level must be one of ${LEVELS.join(", ")}`);
+  }
+
+  const question = values.question || "";
+  if (!question) errors.push("question is required");
+
+  const rawType = String(values.type || "").toLowerCase().replace(/[^a-z]/g, "");
+  const type = rawType ? TYPE_ALIASES[rawType] || rawType : "single";
+
+  const options = Object.keys(values)
+    .filter((k) => /^option\d+$/.test(k))
+    .sort((a, b) => Number(a.slice(6)) - Number(b.slice(6)))
+    .map((k) => values[k])
+    .filter((o) => o !== "");
+
+  const correct = String(values.correct || "").trim();
+  const list = correct.split("|").map((c) => c.trim()).filter(Boolean);
+  const fields = { type, options };
+
+  if (type === "single") {
+    fields.correctIndex = resolveCorrectIndex(correct, options);
+  } else if (type === "multi") {
+    fields.correctIndices = list.map((c) => resolveCorrectIndex(c, options));
+  } else if (type === "truefalse") {
+    fields.correctIndex = correct.toLowerCase();
+  } else if (type === "numeric") {
+    fields.numericAnswer = correct;
+    fields.tolerance = values.tolerance || 0;
+  } else if (type === "text") {
+    fields.acceptedAnswers = list;
+  }
+
+  const typed = validateQuestionFields(fields);
+  errors.push(...typed.errors);
+
+  const imageUrl = values.imageUrl || "";
+  if (imageUrl && !/^https?:\/\/\S+$/i.test(imageUrl)) {
+    errors.push("imageUrl must be an http(s) URL");
+  }
+
+  const data = { date, level, question, ...typed.data };
+  if (imageUrl) data.imageUrl = imageUrl;
+  if (values.explanation) data.explanation = values.explanation;
+
+  if (values.hints) {
+    const hintList = values.hints
+      .split("|")
+      .map((h) => h.trim())
+      .filter(Boolean)
+      .map((h) => {
+        const priced = h.match(/^(.*?)\s*\[(\d+)\]$/);
+        return priced ? { text: priced[1], cost: Number(priced[2]) } : h;
+      });
+    try {
+      data.hints = parseHints(hintList);
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+
+  const topics = parseTopics((values.topics || "").split("|"));
+  if (topics.length) data.topics = topics;
+
+  const classNames = parseClassNames((values.classNames || "").split("|"));
+  if (classNames.length) data.classNames = classNames;
+
+  if (values.ladder || values.maxAttempts) {
+    const ladder = String(values.ladder || "")
+      .split(/[|,]/)
+      .map((d) => d.trim())
+      .filter((d) => d !== "")
+      .map(Number);
+    const maxAttempts = Number(values.maxAttempts || ladder.length);
+    const scoringError = validateScoring({ ladder, maxAttempts });
+    if (scoringError) errors.push(scoringError);
+    else data.scoring = { ladder, maxAttempts };
+  }
+
+  // kept, so drafts and archived questions do not go live on re-import
+  const status = String(values.status || "").trim().toLowerCase();
+  const publishAt = String(values.publishAt || "").trim();
+  const publishingError = validatePublishing({ status: status || undefined, publishAt });
+  if (publishingError) errors.push(publishingError);
+  else {
+    if (status) data.status = status;
+    if (publishAt) data.publishAt = new Date(publishAt);
+  }
+
+  ["timeLimitSeconds", "quizTimeLimitSeconds"].forEach((field) => {
+    try {
+      const seconds = parseTimeLimit(values[field] || undefined);
+      if (seconds) data[field] = seconds;
+    } catch (err) {
+      errors.push(`${field}: ${err.message}`);
+    }
+  });
+
+  const lateAnswerPolicy = String(values.lateAnswerPolicy || "").trim().toLowerCase();
+  if (lateAnswerPolicy && !LATE_ANSWER_POLICIES.includes(lateAnswerPolicy)) {
+    errors.push(`lateAnswerPolicy must be one of ${LATE_ANSWER_POLICIES.join(", ")}`);
+  } else if (lateAnswerPolicy) {
+    data.lateAnswerPolicy = lateAnswerPolicy;
+  }
+
+  return { data, errors };
+}
+
+/*
+  Builds the export file for a list of quiz documents.
+  Returns { buffer, contentType, extension }.
+*/
+export async function writeQuizSheet(questions, format, meta = {}) {
+  if (format === "json") {
+    const payload = {
+      exportedAt: new Date().toISOString(),
+      ...meta,
+      count: questions.length,
+      questions: questions.map((q) => {
+        const out = {
+          date: q.date,
+          level: q.level,
+          type: questionType(q),
+          question: q.question,
+        };
+        if (q.options?.length) out.options = q.options;
+        Object.assign(out, answerKey(q));
+        if (questionType(q) === "numeric" && q.tolerance) out.tolerance = q.tolerance;
+        if (q.imageUrl) out.imageUrl = q.imageUrl;
+        if (q.explanation) out.explanation = q.explanation;
+        if (q.hints?.length) out.hints = q.hints;
+        if (q.topics?.length) out.topics = q.topics;
+        if (q.classNames?.length) out.classNames = q.classNames;
+        if (q.scoring?.ladder?.length) out.scoring = q.scoring;
+        if (q.status) out.status = q.status;
+        if (q.publishAt) out.publishAt = q.publishAt;
+        if (q.timeLimitSeconds) out.timeLimitSeconds = q.timeLimitSeconds;
+        if (q.quizTimeLimitSeconds) out.quizTimeLimitSeconds = q.quizTimeLimitSeconds;
+        if (q.lateAnswerPolicy) out.lateAnswerPolicy = q.lateAnswerPolicy;
+        return out;
+      }),
+    };
+    return {
+      buffer: Buffer.from(JSON.stringify(payload, null, 2)),
+      contentType: "application/json",
+      extension: "json",
+    };
+  }
+
+  const optionCount = Math.max(2, ...questions.map((q) => (q.options || []).length));
+
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet("Questions");
+
+  ws.columns = [
+    { header: "Date", key: "date", width: 12 },
+    { header: "Level", key: "level", width: 14 },
+    { header: "Type", key: "type", width: 11 },
+    { header: "Question", key: "question", width: 50 },
+    ...Array.from({ length: optionCount }, (_, i) => ({
+      header: `Option ${i + 1}`,
+      key: `option${i + 1}`,
+      width: 20,
+    })),
+    { header: "Correct", key: "correct", width: 12 },
+    { header: "Tolerance", key: "tolerance", width: 10 },
+    { header: "Image URL", key: "imageUrl", width: 40 },
+    { header: "Explanation", key: "explanation", width: 40 },
+    { header: "Hints", key: "hints", width: 30 },
+    { header: "Topics", key: "topics", width: 24 },
+    { header: "Classes", key: "classNames", width: 16 },
+    { header: "Ladder", key: "ladder", width: 14 },
+    { header: "Max Attempts", key: "maxAttempts", width: 13 },
+    { header: "Status", key: "status", width: 11 },
+    { header: "Publish At", key: "publishAt", width: 24 },
+    { header: "Time Limit", key: "timeLimitSeconds", width: 11 },
+    { header: "Quiz Time Limit", key: "quizTimeLimitSeconds", width: 15 },
+    { header: "Late Answers", key: "lateAnswerPolicy", width: 13 },
+  ];
+
+  questions.forEach((q) => ws.addRow(questionToValues(q)));
+
+  if (format === "csv") {
+    return {
+      buffer: Buffer.from(await wb.csv.writeBuffer()),
+      contentType: "text/csv",
+      extension: "csv",
+    };
+  }
+
+  ws.getRow(1).font = { bold: true };
+  return {
+    buffer: Buffer.from(await wb.xlsx.writeBuffer()),
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  };
+}
+
+function resolveCorrectIndex(raw, options) {
+  const value = String(raw || "").trim();
+  if (!value) return null;
+
+  if (/^\d+$/.test(value)) {
+    const n = Number(value);
+    return n >= 1 && n <= options.length ? n - 1 : null;
+  }
+
+  if (/^[a-z]$/i.test(value)) {
+    const n = value.toUpperCase().charCodeAt(0) - 65;
+    if (n < options.length) return n;
+  }
+
+  const byText = options.findIndex((o) => o.toLowerCase() === value.toLowerCase());
+  return byText === -1 ? null : byText;
+}
@@ -0,0 +1,138 @@
+// backend/utils/ranking.js
+
+/*
+  Ranking modes, used by the leaderboard, the summary and the report:
+    competition  equal scores share a rank, the next one skips (1,2,2,4)
+    dense        equal scores share a rank, no gaps (1,2,2,3)
+    earliest     ties go to whoever reached the score first
+    attempts     ties go to fewer attempts in total
+    firstTry     ties go to more answers right on the first try
+  Rows still equal after the tie-break share a rank, competition style.
+  The default is settings.rankingMode, ?ranking= overrides it.
+*/
+export const RANKING_MODES = ["competition", "dense", "earliest", "attempts", "firstTry"];
+
+// Standing field and direction each tie-break sorts on
+const TIE_BREAKS = {
+  earliest: { field: "reachedAt", dir: 1 },
+  attempts: { field: "attempts", dir: 1 },
+  firstTry: { field: "firstTry", dir: -1 },
+};
+
+export function rankingMode(requested, fallback = "competition") {
+  if (typeof requested === "undefined" || requested === "") return fallback;
+  if (!RANKING_MODES.includes(requested)) {
+    const err = new Error(`ranking must be one of ${RANKING_MODES.join(", ")}`);
+    err.status = 400;
+    throw err;
+  }
+  return requested;
+}
+
+// StudentQuizProgress fields progressMetrics reads
+export const METRIC_FIELDS =
+  "totalDiamonds updatedAt answers.attempts answers.isCorrect answers.earnedDiamonds " +
+  "answers.submissions.earnedDiamonds answers.submissions.at";
+
+function time(value) {
+  return value ? new Date(value).getTime() : 0;
+}
+
+/*
+  Tie-break figures of one progress record:
+    attempts   tries used
+    firstTry   answers right on the first try
+    reachedAt  last answer that earned diamonds (updatedAt for records
+               saved before submissions were logged), null if none
+*/
+export function progressMetrics(progress) {
+  let attempts = 0;
+  let firstTry = 0;
+  let reachedAt = null;
+
+  (progress.answers || []).forEach((a) => {
+    attempts += Number(a.attempts || 0);
+    if (a.isCorrect && Number(a.attempts) === 1) firstTry += 1;
+    (a.submissions || []).forEach((s) => {
+      if (Number(s.earnedDiamonds || 0) > 0 && time(s.at) > time(reachedAt)) reachedAt = new Date(s.at);
+    });
+  });
+
+  const earned = (progress.answers || []).some((a) => Number(a.earnedDiamonds || 0) > 0);
+  if (!reachedAt && earned && progress.updatedAt) reachedAt = new Date(progress.updatedAt);
+
+  return {
+    score: Number(progress.totalDiamonds || 0),
+    attempts,
+    firstTry,
+    reachedAt,
+  };
+}
+
+// Adds the figures of `m` into `total`
+export function addMetrics(total, m) {
+  total.score += m.score;
+  total.attempts += m.attempts;
+  total.firstTry += m.firstTry;
+  if (m.reachedAt && time(m.reachedAt) > time(total.reachedAt)) total.reachedAt = m.reachedAt;
+  return total;
+}
+
+export function emptyMetrics() {
+  return { score: 0, attempts: 0, firstTry: 0, reachedAt: null };
+}
+
+function tieValue(mode, row) {
+  const tie = TIE_BREAKS[mode];
+  if (!tie) return 0;
+  return tie.field === "reachedAt" ? time(row.reachedAt) : Number(row[tie.field] || 0);
+}
+
+// Sort comparator: score, then the mode's tie-break, then studentId
+export function compareRows(mode) {
+  const dir = TIE_BREAKS[mode]?.dir || 1;
+  return (a, b) =>
+    b.score - a.score ||
+    dir * (tieValue(mode, a) - tieValue(mode, b)) ||
+    (String(a.studentId) < String(b.studentId) ? -1 : 1);
+}
+
+function sameRank(mode, a, b) {
+  return a.score === b.score && tieValue(mode, a) === tieValue(mode, b);
+}
+
+/*
+  Sets `rank` on rows already sorted with compareRows(mode). `start`
+  continues a page: { position, rank, prev } of the row before it.
+*/
+export function assignRanks(rows, mode, start = { position: 0, rank: 0, prev: null }) {
+  let { rank, prev } = start;
+  rows.forEach((row, i) => {
+    if (!prev || !sameRank(mode, prev, row)) {
+      rank = mode === "dense" ? rank + 1 : start.position + i + 1;
+    }
+    row.rank = rank;
+    prev = row;
+  });
+  return rows;
+}
+
+// Mongo sort of the standings for a mode
+export function standingSort(mode) {
+  const tie = TIE_BREAKS[mode];
+  return { score: -1, ...(tie && { [tie.field]: tie.dir }), studentId: 1 };
+}
+
+// Mongo filter for standings ranked strictly ahead of `row` (not for dense)
+export function aheadFilter(mode, row) {
+  const tie = TIE_BREAKS[mode];
+  if (!tie) return { score: { $gt: row.score } };
+
+  const value = tie.field === "reachedAt" ? row.reachedAt || new Date(0) : row[tie.field] || 0;
+  return {
+    $or: [
+      { score: { $gt: row.score } },
+      { score: row.score, [tie.field]: tie.dir === 1 ? { $lt: value } : { $gt: value } },
+    ],
+  };
+}
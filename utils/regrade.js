@@ -0,0 +1,187 @@
+// backend/utils/regrade.js
+import Quiz from "../models/Quiz.js";
+import StudentQuizProgress from "../models/StudentQuizProgress.js";
+import Student from "../models/Student.js";
+import {
+  getScoringRule,
+  resolveScoring,
+  diamondsFor,
+  isDayComplete,
+  progressTotal,
+} from "./scoring.js";
+import { gradeAnswer } from "./questionTypes.js";
+import { publishedFilter, targetsClass } from "./publishing.js";
+import { institutionToday } from "./settings.js";
+import { recordEntries } from "./ledger.js";
+import { refreshStandings } from "./standings.js";
+
+/*
+  Re-scores every progress record that answered `quiz` against its
+  current answer key, replaying the responses the student submitted.
+  The first response that is now correct decides the diamonds, using the
+  rule version the record was scored with. Records saved before responses
+  were stored cannot be replayed and are only counted.
+  Each record is saved over the rev it was read at, like answers are
+  (routes/studentQuiz.js), and read again when an answer got in first.
+  Records still changing after MAX_REGRADE_TRIES are counted as
+  conflicts; regrading again picks them up.
+  With dryRun nothing is written.
+*/
+const MAX_REGRADE_TRIES = 5;
+
+/*
+  New state of one progress record, or { skip } when there is nothing
+  to save: "hints" (only hints were bought), "notRegradable" or
+  "unchanged".
+*/
+function regradeState(progress, quiz, { rule, dayQuestions }) {
+  const questionId = String(quiz._id);
+  const scoring = resolveScoring(rule, quiz.level, quiz);
+
+  const entry = progress.answers.find((a) => String(a.questionId) === questionId);
+  const responses = entry?.responses || [];
+
+  if (!entry || !Number(entry.attempts || 0)) return { skip: "hints" };
+
+  if (!responses.length || responses.length !== Number(entry.attempts || 0)) {
+    return { skip: "notRegradable" };
+  }
+
+  const firstCorrect = responses
+    .slice(0, scoring.maxAttempts)
+    .findIndex((r) => gradeAnswer(quiz, r).isCorrect);
+  const isCorrect = firstCorrect !== -1;
+  // attempts made too late (time limit, past date policy) never earn diamonds
+  const onTime = !entry.lateFrom || firstCorrect + 1 < entry.lateFrom;
+  const earned = isCorrect && onTime ? diamondsFor(scoring, firstCorrect + 1) : 0;
+
+  if (!!entry.isCorrect === isCorrect && Number(entry.earnedDiamonds || 0) === earned) {
+    return { skip: "unchanged" };
+  }
+
+  const answers = progress.answers.map((a) =>
+    a === entry ? { ...a, isCorrect, earnedDiamonds: earned } : a
+  );
+  return {
+    isCorrect,
+    earned,
+    answers,
+    totalDiamonds: progressTotal(answers),
+    completed: isDayComplete(answers, dayQuestions, rule, quiz.level),
+  };
+}
+
+export async function regradeQuestion(quiz, { dryRun = false } = {}) {
+  const questionId = String(quiz._id);
+  const { date, level } = quiz;
+
+  // voided days stay at 0, see utils/integrity.js
+  const filter = {
+    date,
+    level,
+    "answers.questionId": questionId,
+    voided: { $ne: true },
+  };
+  const progresses = await StudentQuizProgress.find(filter).lean();
+
+  const dayQuestions = await Quiz.find(
+    { date, level, ...publishedFilter(new Date(), await institutionToday()) },
+    { scoring: 1, classNames: 1 }
+  ).lean();
+
+  const students = await Student.find(
+    { _id: { $in: progresses.map((p) => p.studentId) } },
+    { className: 1 }
+  ).lean();
+  const classOf = Object.fromEntries(students.map((s) => [String(s._id), s.className]));
+
+  const rules = {};
+  const changes = [];
+  let notRegradable = 0;
+  let conflicts = 0;
+
+  for (const found of progresses) {
+    let progress = found;
+
+    for (let tries = 0; progress; tries++) {
+      if (tries === MAX_REGRADE_TRIES) {
+        conflicts += 1;
+        break;
+      }
+
+      const version = progress.ruleVersion || 1;
+      rules[version] = rules[version] || (await getScoringRule(version));
+      const className = classOf[String(progress.studentId)];
+      const state = regradeState(progress, quiz, {
+        rule: rules[version],
+        dayQuestions: dayQuestions.filter((q) => targetsClass(q, className)),
+      });
+
+      if (state.skip === "notRegradable") notRegradable += 1;
+      if (state.skip) break;
+
+      const before = Number(progress.totalDiamonds || 0);
+      const change = {
+        progressId: progress._id,
+        studentId: progress.studentId,
+        isCorrect: state.isCorrect,
+        earnedDiamonds: state.earned,
+        before,
+        after: state.totalDiamonds,
+        delta: state.totalDiamonds - before,
+      };
+
+      if (dryRun) {
+        changes.push(change);
+        break;
+      }
+
+      // an answer submitted meanwhile bumped rev: read again and redo
+      const rev = progress.rev ?? null;
+      const result = await StudentQuizProgress.updateOne(
+        { _id: progress._id, rev },
+        {
+          $set: {
+            answers: state.answers,
+            totalDiamonds: state.totalDiamonds,
+            completed: state.completed,
+          },
+          $inc: { rev: 1 },
+        }
+      );
+      if (!result.matchedCount) {
+        progress = await StudentQuizProgress.findOne({ ...filter, _id: progress._id }).lean();
+        continue;
+      }
+
+      changes.push(change);
+      // keyed on the rev written, so posting it again is a no-op
+      await recordEntries([
+        {
+          studentId: progress.studentId,
+          type: "admin-adjustment",
+          amount: change.delta,
+          reason: `Regrade of question ${questionId}`,
+          refType: "progress",
+          refId: progress._id,
+          questionId,
+          date,
+          level,
+          key: `regrade:${progress._id}:${(rev || 0) + 1}`,
+        },
+      ]);
+      await refreshStandings(progress.studentId, [date]);
+      break;
+    }
+  }
+
+  return {
+    dryRun,
+    progressChecked: progresses.length,
+    progressChanged: changes.length,
+    notRegradable,
+    conflicts,
+    diamondDelta: changes.reduce((sum, c) => sum + c.delta, 0),
+    changes,
+  };
+}
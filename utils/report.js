@@ -0,0 +1,301 @@
+// backend/utils/report.js
+import ExcelJS from "exceljs";
+import PDFDocument from "pdfkit";
+import StudentQuizProgress from "../models/StudentQuizProgress.js";
+import { levelKey, progressMatch } from "./leaderboard.js";
+
+/*
+  Leaderboard report (GET /api/leaderboard/report). Three sheets:
+    detail    one row per student and date, diamonds per level
+    students  per student: days, average per level, total, rank
+    classes   per class: students, average per level, total
+  A level average is the diamonds of that level over the days the
+  level was played; levels never played are left blank and the
+  overall average is taken over the played levels only.
+  xlsx holds every sheet, csv one (?sheet=), pdf every sheet in turn.
+*/
+export const REPORT_FORMATS = ["xlsx", "csv", "pdf"];
+export const REPORT_SHEETS = ["detail", "students", "classes"];
+
+const LEVELS = ["beginner", "intermediate", "advanced"];
+
+const SHEETS = {
+  detail: {
+    title: "Detail",
+    columns: [
+      { header: "Name", key: "name", width: 25 },
+      { header: "Email", key: "email", width: 30 },
+      { header: "Class", key: "className", width: 12 },
+      { header: "Date", key: "date", width: 12 },
+      { header: "Beginner", key: "beginner", width: 12 },
+      { header: "Intermediate", key: "intermediate", width: 12 },
+      { header: "Advanced", key: "advanced", width: 12 },
+      { header: "Total", key: "total", width: 10 },
+    ],
+  },
+  students: {
+    title: "Students",
+    columns: [
+      { header: "Rank", key: "rank", width: 8 },
+      { header: "Name", key: "name", width: 25 },
+      { header: "Email", key: "email", width: 30 },
+      { header: "Class", key: "className", width: 12 },
+      { header: "Days", key: "days", width: 8 },
+      { header: "Avg Beginner", key: "beginner", width: 13 },
+      { header: "Avg Intermediate", key: "intermediate", width: 16 },
+      { header: "Avg Advanced", key: "advanced", width: 13 },
+      { header: "Overall Avg", key: "average", width: 12 },
+      { header: "Total", key: "total", width: 10 },
+    ],
+  },
+  classes: {
+    title: "Classes",
+    columns: [
+      { header: "Class", key: "className", width: 14 },
+      { header: "Students", key: "students", width: 10 },
+      { header: "Avg Beginner", key: "beginner", width: 13 },
+      { header: "Avg Intermediate", key: "intermediate", width: 16 },
+      { header: "Avg Advanced", key: "advanced", width: 13 },
+      { header: "Avg per Student", key: "perStudent", width: 15 },
+      { header: "Total", key: "total", width: 10 },
+    ],
+  },
+};
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// total / count, null when nothing was played
+function average(total, count) {
+  return count ? round2(total / count) : null;
+}
+
+function mean(values) {
+  const played = values.filter((v) => v !== null);
+  return played.length ? round2(played.reduce((a, b) => a + b, 0) / played.length) : null;
+}
+
+function emptyLevels(value) {
+  return Object.fromEntries(LEVELS.map((l) => [l, value()]));
+}
+
+/*
+  Diamonds per student, date and level for the filters
+  { from, to, level, className }. Progress without answers is
+  not counted as played, as on the leaderboard.
+*/
+export async function reportProgress({ from, to, level, className } = {}) {
+  return StudentQuizProgress.aggregate([
+    { $match: progressMatch({ from, to, level }) },
+    {
+      $group: {
+        _id: { studentId: "$studentId", date: "$date", level: "$level" },
+        score: { $sum: { $ifNull: ["$totalDiamonds", 0] } },
+      },
+    },
+    {
+      $lookup: {
+        from: "students",
+        localField: "_id.studentId",
+        foreignField: "_id",
+        as: "student",
+      },
+    },
+    { $unwind: "$student" },
+    ...(className ? [{ $match: { "student.className": className } }] : []),
+    { $sort: { "student.name": 1, "_id.date": 1 } },
+  ]);
+}
+
+/*
+  The three sheets out of reportProgress rows. `rankById` maps
+  student ids to their rank for the same filters.
+  Returns { detail, students, classes } row arrays.
+*/
+export function buildReport(progress, rankById = {}) {
+  const students = {};
+
+  progress.forEach((r) => {
+    const level = levelKey(r._id.level);
+    if (!level) return;
+
+    const sid = String(r._id.studentId);
+    const s = (students[sid] = students[sid] || {
+      rank: rankById[sid] ?? null,
+      name: r.student.name || r.student.email,
+      email: r.student.email,
+      className: r.student.className || "",
+      dates: {},
+      totals: emptyLevels(() => 0),
+      played: emptyLevels(() => new Set()),
+    });
+
+    const day = (s.dates[r._id.date] = s.dates[r._id.date] || emptyLevels(() => null));
+    day[level] = (day[level] || 0) + r.score;
+    s.totals[level] += r.score;
+    s.played[level].add(r._id.date);
+  });
+
+  const list = Object.values(students);
+
+  const detail = list.flatMap((s) =>
+    Object.keys(s.dates)
+      .sort()
+      .map((date) => {
+        const day = s.dates[date];
+        return {
+          name: s.name,
+          email: s.email,
+          className: s.className,
+          date,
+          ...day,
+          total: LEVELS.reduce((sum, l) => sum + (day[l] || 0), 0),
+        };
+      })
+  );
+
+  const studentRows = list
+    .map((s) => {
+      const averages = Object.fromEntries(LEVELS.map((l) => [l, average(s.totals[l], s.played[l].size)]));
+      return {
+        rank: s.rank,
+        name: s.name,
+        email: s.email,
+        className: s.className,
+        days: Object.keys(s.dates).length,
+        ...averages,
+        average: mean(Object.values(averages)),
+        total: LEVELS.reduce((sum, l) => sum + s.totals[l], 0),
+      };
+    })
+    .sort((x, y) => (x.rank ?? Infinity) - (y.rank ?? Infinity) || String(x.name).localeCompare(y.name));
+
+  const classes = {};
+  list.forEach((s) => {
+    const c = (classes[s.className] = classes[s.className] || {
+      className: s.className,
+      students: 0,
+      totals: emptyLevels(() => 0),
+      played: emptyLevels(() => 0),
+    });
+    c.students += 1;
+    LEVELS.forEach((l) => {
+      c.totals[l] += s.totals[l];
+      c.played[l] += s.played[l].size;
+    });
+  });
+
+  const classRows = Object.values(classes)
+    .map((c) => {
+      const total = LEVELS.reduce((sum, l) => sum + c.totals[l], 0);
+      return {
+        className: c.className,
+        students: c.students,
+        ...Object.fromEntries(LEVELS.map((l) => [l, average(c.totals[l], c.played[l])])),
+        perStudent: average(total, c.students),
+        total,
+      };
+    })
+    .sort((x, y) => x.className.localeCompare(y.className));
+
+  return { detail, students: studentRows, classes: classRows };
+}
+
+function addSheet(wb, name, rows) {
+  const ws = wb.addWorksheet(SHEETS[name].title);
+  ws.columns = SHEETS[name].columns;
+  rows.forEach((row) => ws.addRow(row));
+  ws.getRow(1).font = { bold: true };
+}
+
+function cellText(value) {
+  return value === null || typeof value === "undefined" ? "" : String(value);
+}
+
+// One sheet as a table, repeating the header on every new page
+function pdfTable(doc, name, rows) {
+  const { title, columns } = SHEETS[name];
+  const left = doc.page.margins.left;
+  const usable = doc.page.width - left - doc.page.margins.right;
+  const scale = usable / columns.reduce((sum, c) => sum + c.width, 0);
+  const rowHeight = 14;
+  const fits = (height) => doc.y + height <= doc.page.height - doc.page.margins.bottom;
+
+  const drawRow = (values, bold) => {
+    const y = doc.y;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8);
+    let x = left;
+    columns.forEach((c, i) => {
+      doc.text(values[i], x + 2, y + 3, { width: c.width * scale - 4, height: rowHeight - 3, ellipsis: true });
+      x += c.width * scale;
+    });
+    doc.y = y + rowHeight;
+  };
+
+  // title, header and a first row stay together
+  if (!fits(40)) doc.addPage();
+  doc.font("Helvetica-Bold").fontSize(12).text(title, left, doc.y);
+  doc.moveDown(0.3);
+
+  const header = columns.map((c) => c.header);
+  drawRow(header, true);
+  rows.forEach((row) => {
+    if (!fits(rowHeight)) {
+      doc.addPage();
+      drawRow(header, true);
+    }
+    drawRow(columns.map((c) => cellText(row[c.key])));
+  });
+  doc.moveDown(1);
+}
+
+function writePdf(report, heading) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 36 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.font("Helvetica-Bold").fontSize(16).text(heading.title);
+    doc.font("Helvetica").fontSize(9).text(heading.subtitle);
+    doc.moveDown(1);
+
+    REPORT_SHEETS.forEach((name) => pdfTable(doc, name, report[name]));
+    doc.end();
+  });
+}
+
+/*
+  Builds the report file. `heading` is { title, subtitle } for the pdf,
+  `sheet` the sheet a csv holds.
+  Returns { buffer, contentType, extension }.
+*/
+export async function writeReport(report, format, { sheet = "students", heading } = {}) {
+  if (format === "pdf") {
+    return {
+      buffer: await writePdf(report, heading),
+      contentType: "application/pdf",
+      extension: "pdf",
+    };
+  }
+
+  const wb = new ExcelJS.Workbook();
+
+  if (format === "csv") {
+    addSheet(wb, sheet, report[sheet]);
+    return {
+      buffer: Buffer.from(await wb.csv.writeBuffer()),
+      contentType: "text/csv",
+      extension: "csv",
+    };
+  }
+
+  REPORT_SHEETS.forEach((name) => addSheet(wb, name, report[name]));
+  return {
+    buffer: Buffer.from(await wb.xlsx.writeBuffer()),
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  };
+}
@@ -0,0 +1,117 @@
+// backend/utils/review.js
+import mongoose from "mongoose";
+import Quiz from "../models/Quiz.js";
+import ReviewItem from "../models/ReviewItem.js";
+import StudentQuizProgress from "../models/StudentQuizProgress.js";
+import { getScoringRule, resolveScoring, canStillEarn } from "./scoring.js";
+import { getSettings } from "./settings.js";
+import { addDays } from "./dates.js";
+
+/*
+  Review queue. A question joins a student's queue once it is settled
+  in the daily quiz (it can no longer earn diamonds, see canStillEarn
+  in utils/scoring.js) and it was either
+    wrong     never answered correctly
+    attempts  correct, but only after REVIEW_MIN_ATTEMPTS or more tries
+  First due the day after its quiz date. Each correct review moves it one
+  step up REVIEW_INTERVALS (days until the next review); a wrong review
+  sends it back to the first step. Correct on the last step = mastered.
+  Reviews never touch diamonds, completion or the leaderboard.
+*/
+export const REVIEW_INTERVALS = [1, 3, 7, 14, 30];
+
+export const REVIEW_MIN_ATTEMPTS = 3;
+
+function reviewReason(answer) {
+  if (!answer.isCorrect) return "wrong";
+  if (Number(answer.attempts) >= REVIEW_MIN_ATTEMPTS) return "attempts";
+  return null;
+}
+
+/*
+  Adds every qualifying question from the student's progress that is
+  not queued yet. Items already queued keep their schedule.
+  Returns the number of items added.
+*/
+export async function syncReviewQueue(studentId, today) {
+  const id = new mongoose.Types.ObjectId(String(studentId));
+  const progresses = await StudentQuizProgress.find({ studentId: id, "answers.0": { $exists: true } })
+    .select("date level ruleVersion voided answers.questionId answers.attempts answers.isCorrect")
+    .lean();
+
+  const candidates = [];
+  progresses.forEach((p) => {
+    (p.answers || []).forEach((a) => {
+      if (Number(a.attempts || 0) < 1 || !mongoose.Types.ObjectId.isValid(a.questionId)) return;
+      const reason = reviewReason(a);
+      if (reason) candidates.push({ progress: p, answer: a, reason });
+    });
+  });
+  if (!candidates.length) return 0;
+
+  // wrong answers the student can still earn on are not settled yet,
+  // whatever their date (past dates stay playable under "playable")
+  const { pastDatePolicy } = await getSettings();
+  const quizzes = await Quiz.find({ _id: { $in: candidates.map((c) => c.answer.questionId) } })
+    .select("scoring")
+    .lean();
+  const quizById = Object.fromEntries(quizzes.map((q) => [String(q._id), q]));
+  const rules = {};
+
+  const writes = [];
+  for (const { progress, answer, reason } of candidates) {
+    const quiz = quizById[String(answer.questionId)];
+    if (!quiz) continue;
+
+    if (reason === "wrong") {
+      const version = progress.ruleVersion || 1;
+      rules[version] = rules[version] || (await getScoringRule(version));
+      const scoring = resolveScoring(rules[version], progress.level, quiz);
+      if (canStillEarn({ date: progress.date, progress, answer, scoring }, { today, pastDatePolicy })) continue;
+    }
+
+    writes.push({
+      updateOne: {
+        filter: { studentId: id, questionId: quiz._id },
+        update: {
+          $setOnInsert: {
+            date: progress.date,
+            level: progress.level,
+            reason,
+            quizAttempts: Number(answer.attempts),
+            step: 0,
+            dueDate: addDays(progress.date, REVIEW_INTERVALS[0]),
+          },
+        },
+        upsert: true,
+      },
+    });
+  }
+  if (!writes.length) return 0;
+
+  const result = await ReviewItem.bulkWrite(writes, { ordered: false });
+  return result.upsertedCount || 0;
+}
+
+// Schedule changes for a review answered `isCorrect` on `today`
+export function nextReview(item, isCorrect, today) {
+  if (!isCorrect) {
+    return {
+      step: 0,
+      dueDate: addDays(today, REVIEW_INTERVALS[0]),
+      mastered: false,
+      lastOutcome: "wrong",
+    };
+  }
+
+  const step = Number(item.step || 0) + 1;
+  if (step >= REVIEW_INTERVALS.length) {
+    return { step, mastered: true, lastOutcome: "correct" };
+  }
+  return {
+    step,
+    dueDate: addDays(today, REVIEW_INTERVALS[step]),
+    mastered: false,
+    lastOutcome: "correct",
+  };
+}
@@ -0,0 +1,144 @@
+// backend/utils/scoring.js
+import ScoringRule from "../models/ScoringRule.js";
+import StudentQuizProgress from "../models/StudentQuizProgress.js";
+import { getSettings } from "./settings.js";
+
+// The original hardcoded table. Seeded as version 1 so that progress saved
+// before scoring rules existed is still scored the same way.
+export const DEFAULT_LEVEL_RULES = [
+  { level: "beginner", ladder: [10, 5, 3], maxAttempts: 3 },
+  { level: "intermediate", ladder: [20, 15, 10, 5], maxAttempts: 4 },
+  { level: "advance", ladder: [30, 25, 20, 10], maxAttempts: 4 },
+];
+
+export function normalizeLevel(level) {
+  const lvl = String(level || "").trim().toLowerCase();
+  if (lvl.startsWith("begin")) return "beginner";
+  if (lvl.startsWith("inter")) return "intermediate";
+  if (lvl.startsWith("adv")) return "advance";
+  return lvl;
+}
+
+export async function getScoringRule(version) {
+  if (version) {
+    const rule = await ScoringRule.findOne({ version }).lean();
+    if (rule) return rule;
+  }
+
+  const latest = await ScoringRule.findOne().sort({ version: -1 }).lean();
+  if (latest) return latest;
+
+  return ScoringRule.findOneAndUpdate(
+    { version: 1 },
+    { $setOnInsert: { version: 1, levels: DEFAULT_LEVEL_RULES, note: "Default rules" } },
+    { upsert: true, new: true }
+  ).lean();
+}
+
+/*
+  Ladder + max attempts for one question. A question-level override
+  (Quiz.scoring) wins over the level rule of the rule set.
+*/
+export function resolveScoring(rule, level, quiz) {
+  const lvl = normalizeLevel(level);
+  const levelRule = (rule?.levels || []).find((l) => normalizeLevel(l.level) === lvl);
+
+  const ladder = quiz?.scoring?.ladder?.length
+    ? quiz.scoring.ladder
+    : levelRule?.ladder || [];
+
+  const maxAttempts = Number(
+    quiz?.scoring?.maxAttempts || levelRule?.maxAttempts || ladder.length
+  );
+
+  return { ladder, maxAttempts };
+}
+
+export function diamondsFor(scoring, attempts) {
+  return Number(scoring.ladder[attempts - 1] || 0);
+}
+
+// Day total: diamonds earned minus diamonds spent on hints
+export function progressTotal(answers) {
+  return (answers || []).reduce(
+    (sum, a) => sum + Number(a.earnedDiamonds || 0) - Number(a.hintCost || 0),
+    0
+  );
+}
+
+export function isLocked(answer, scoring) {
+  if (!answer) return false;
+  return !!answer.isCorrect || Number(answer.attempts || 0) >= scoring.maxAttempts;
+}
+
+/*
+  True while a question can still earn diamonds in the daily quiz: the
+  day is not voided, its date still pays under the past date policy and
+  the answer is not locked. Outside the daily quiz (review, practice)
+  nothing may grade it or show its answer key until this is false.
+*/
+export function canStillEarn({ date, progress, answer, scoring }, { today, pastDatePolicy }) {
+  if (progress?.voided) return false;
+  if (date < today && pastDatePolicy !== "playable") return false;
+  return !isLocked(answer, scoring);
+}
+
+// Ids of `quizzes` (one date + level) a student can still earn on
+export async function earnableQuestionIds(studentId, date, level, quizzes, today) {
+  const { pastDatePolicy } = await getSettings();
+  const progress = await StudentQuizProgress.findOne({ studentId, date, level })
+    .select("ruleVersion voided answers.questionId answers.attempts answers.isCorrect")
+    .lean();
+  const rule = progress ? await getScoringRule(progress.ruleVersion || 1) : null;
+
+  const ids = new Set();
+  quizzes.forEach((q) => {
+    const answer = (progress?.answers || []).find((a) => String(a.questionId) === String(q._id));
+    const scoring = resolveScoring(rule, level, q);
+    if (canStillEarn({ date, progress, answer, scoring }, { today, pastDatePolicy })) ids.add(String(q._id));
+  });
+  return ids;
+}
+
+// True once every question of the day is correct or out of attempts
+export function isDayComplete(answers, dayQuestions, rule, level) {
+  return dayQuestions.every((q) => {
+    const answer = answers.find((a) => String(a.questionId) === String(q._id));
+    return isLocked(answer, resolveScoring(rule, level, q));
+  });
+}
+
+// Returns an error message, or null when ladder/maxAttempts are usable.
+export function validateScoring({ ladder, maxAttempts }) {
+  if (!Array.isArray(ladder) || !ladder.length) {
+    return "ladder must be a non-empty array";
+  }
+  if (ladder.some((d) => !Number.isFinite(Number(d)) || Number(d) < 0)) {
+    return "ladder values must be non-negative numbers";
+  }
+  const max = Number(maxAttempts);
+  if (!Number.isInteger(max) || max < 1) {
+    return "maxAttempts must be a positive integer";
+  }
+  return null;
+}
+
+// Per-question scoring override. Arrives as JSON text on multipart requests;
+// null clears the override. Throws with a readable message when invalid.
+export function parseScoring(raw) {
+  if (typeof raw === "undefined" || raw === "") return undefined;
+
+  const scoring = typeof raw === "string" ? JSON.parse(raw) : raw;
+  if (scoring === null) return null;
+
+  const ladder = (scoring.ladder || []).map(Number);
+  const maxAttempts = Number(scoring.maxAttempts || ladder.length);
+  const error = validateScoring({ ladder, maxAttempts });
+  if (error) {
+    const err = new Error(error);
+    err.status = 400;
+    throw err;
+  }
+
+  return { ladder, maxAttempts };
+}
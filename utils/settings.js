@@ -0,0 +1,145 @@
+// backend/utils/settings.js
+import Setting from "../models/Setting.js";
+import { todayString, isDateString } from "./dates.js";
+import { RANKING_MODES } from "./ranking.js";
+
+/*
+  Past date policy:
+    playable  missed dates can be played as usual
+    zero      missed dates can be played, but earn no diamonds
+    locked    missed dates are closed
+*/
+export const PAST_DATE_POLICIES = ["playable", "zero", "locked"];
+
+export const DEFAULT_SETTINGS = {
+  timezone: "UTC",
+  pastDatePolicy: "playable",
+  streakMilestones: [
+    { days: 7, diamonds: 20 },
+    { days: 30, diamonds: 100 },
+    { days: 100, diamonds: 500 },
+  ],
+  // thresholds the level below must meet to unlock a level, see utils/levels.js
+  levelUnlock: {
+    enforced: false,
+    windowDays: 30,
+    intermediate: { minDays: 5, minFirstTryRate: 70 },
+    advance: { minDays: 5, minFirstTryRate: 80 },
+  },
+  // school terms for the leaderboard's period=term, { name, from, to }
+  terms: [],
+  // how ties are ranked, see utils/ranking.js
+  rankingMode: "competition",
+  // flag students answering from one IP, see utils/integrity.js
+  sharedIpCheck: false,
+};
+
+export function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return !!value;
+  } catch {
+    return false;
+  }
+}
+
+export async function getSettings() {
+  const saved = await Setting.findOne({ key: "global" }).lean();
+  // INSTITUTION_TIMEZONE in .env applies until a timezone is saved
+  const settings = {
+    ...DEFAULT_SETTINGS,
+    timezone: process.env.INSTITUTION_TIMEZONE || DEFAULT_SETTINGS.timezone,
+  };
+  Object.keys(DEFAULT_SETTINGS).forEach((k) => {
+    if (saved && saved[k] !== null && typeof saved[k] !== "undefined") settings[k] = saved[k];
+  });
+  return settings;
+}
+
+// Today's quiz date in the institution timezone
+export async function institutionToday(now = new Date()) {
+  const { timezone } = await getSettings();
+  return todayString(now, timezone);
+}
+
+// How a quiz date stands against the institution's today under the
+// past date policy
+export async function dateAccess(date, now = new Date()) {
+  const { timezone, pastDatePolicy } = await getSettings();
+  const today = todayString(now, timezone);
+  const past = String(date) < today;
+  return {
+    today,
+    past,
+    locked: past && pastDatePolicy === "locked",
+    earnsDiamonds: !past || pastDatePolicy === "playable",
+  };
+}
+
+// Returns an error message, or null when the changes are usable
+export function validateSettings(input) {
+  if (typeof input.timezone !== "undefined" && !isTimeZone(input.timezone)) {
+    return "timezone must be an IANA time zone, e.g. Asia/Kolkata";
+  }
+  if (
+    typeof input.pastDatePolicy !== "undefined" &&
+    !PAST_DATE_POLICIES.includes(input.pastDatePolicy)
+  ) {
+    return `pastDatePolicy must be one of ${PAST_DATE_POLICIES.join(", ")}`;
+  }
+  if (typeof input.streakMilestones !== "undefined") {
+    const milestones = input.streakMilestones;
+    if (
+      !Array.isArray(milestones) ||
+      milestones.some(
+        (m) =>
+          !Number.isInteger(m?.days) || m.days < 1 ||
+          !Number.isInteger(m?.diamonds) || m.diamonds < 0
+      )
+    ) {
+      return "streakMilestones must be a list of { days, diamonds } whole numbers";
+    }
+    if (new Set(milestones.map((m) => m.days)).size !== milestones.length) {
+      return "streakMilestones must not repeat the same days";
+    }
+  }
+  if (typeof input.sharedIpCheck !== "undefined" && typeof input.sharedIpCheck !== "boolean") {
+    return "sharedIpCheck must be true or false";
+  }
+  if (typeof input.rankingMode !== "undefined" && !RANKING_MODES.includes(input.rankingMode)) {
+    return `rankingMode must be one of ${RANKING_MODES.join(", ")}`;
+  }
+  if (typeof input.terms !== "undefined") {
+    const terms = input.terms;
+    if (
+      !Array.isArray(terms) ||
+      terms.some(
+        (t) => !String(t?.name || "").trim() || !isDateString(t.from) || !isDateString(t.to) || t.from > t.to
+      )
+    ) {
+      return "terms must be a list of { name, from, to } with from <= to (YYYY-MM-DD)";
+    }
+    if (new Set(terms.map((t) => t.name)).size !== terms.length) {
+      return "terms must not repeat the same name";
+    }
+  }
+  if (typeof input.levelUnlock !== "undefined") {
+    const unlock = input.levelUnlock;
+    if (!unlock || typeof unlock !== "object" || typeof unlock.enforced !== "boolean") {
+      return "levelUnlock must be { enforced, windowDays, intermediate, advance }";
+    }
+    if (!Number.isInteger(unlock.windowDays) || unlock.windowDays < 1) {
+      return "levelUnlock.windowDays must be a whole number of at least 1";
+    }
+    for (const level of ["intermediate", "advance"]) {
+      const t = unlock[level];
+      if (
+        !Number.isInteger(t?.minDays) || t.minDays < 0 ||
+        !Number.isFinite(t?.minFirstTryRate) || t.minFirstTryRate < 0 || t.minFirstTryRate > 100
+      ) {
+        return `levelUnlock.${level} must be { minDays, minFirstTryRate (0-100) }`;
+      }
+    }
+  }
+  return null;
+}
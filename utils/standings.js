@@ -0,0 +1,260 @@
+// backend/utils/standings.js
+import mongoose from "mongoose";
+import Standing from "../models/Standing.js";
+import Student from "../models/Student.js";
+import StudentQuizProgress from "../models/StudentQuizProgress.js";
+import { weekStart } from "./dates.js";
+import { LEVEL_KEYS, levelKey } from "./leaderboard.js";
+import {
+  progressMetrics,
+  addMetrics,
+  emptyMetrics,
+  assignRanks,
+  standingSort,
+  aheadFilter,
+  METRIC_FIELDS,
+} from "./ranking.js";
+
+/*
+  Materialized leaderboard. One Standing per student, scope and level:
+    scope  all | day:<date> | week:<monday> | month:<yyyy-mm>
+    level  all | beginner | intermediate | advanced
+  A student's rows for the scopes of a date are recomputed from their
+  progress whenever diamonds of that date change (refreshStandings),
+  so a missed refresh is fixed by the next one. rebuildStandings.js
+  recomputes everything and reports what had drifted, and builds the
+  collection the first time on existing databases (a deploy step).
+  Terms and custom ranges are not materialized (see utils/leaderboard.js).
+*/
+
+// Scopes a quiz date counts towards
+export function scopesOf(date) {
+  return ["all", `day:${date}`, `week:${weekStart(date)}`, `month:${date.slice(0, 7)}`];
+}
+
+// Scope of a leaderboard period (utils/leaderboard.js periodRange),
+// null when the period is not materialized
+export function standingScope(range) {
+  if (range.period === "all") return "all";
+  if (range.period === "day") return `day:${range.from}`;
+  if (range.period === "week") return `week:${range.from}`;
+  if (range.period === "month") return `month:${range.from.slice(0, 7)}`;
+  return null;
+}
+
+function rowKey(scope, level) {
+  return `${scope}|${level}`;
+}
+
+// Progress only counts once it has an answer (or a bought hint)
+function studentProgress(studentId) {
+  return StudentQuizProgress.find({ studentId, "answers.0": { $exists: true } })
+    .select(`date level ${METRIC_FIELDS}`)
+    .lean();
+}
+
+// { "scope|level": metrics } of a student's progress, limited to `scopes` when given
+function expectedRows(progresses, scopes) {
+  const rows = {};
+  progresses.forEach((p) => {
+    const metrics = progressMetrics(p);
+    const levels = ["all", levelKey(p.level)].filter(Boolean);
+    scopesOf(p.date).forEach((scope) => {
+      if (scopes && !scopes.has(scope)) return;
+      levels.forEach((level) => {
+        const key = rowKey(scope, level);
+        rows[key] = addMetrics(rows[key] || emptyMetrics(), metrics);
+      });
+    });
+  });
+  return rows;
+}
+
+function sameRow(current, m, className) {
+  return (
+    current.score === m.score &&
+    current.attempts === m.attempts &&
+    current.firstTry === m.firstTry &&
+    new Date(current.reachedAt || 0).getTime() === new Date(m.reachedAt || 0).getTime() &&
+    current.className === className
+  );
+}
+
+// bulkWrite operations turning `existing` rows into `expected`
+function standingWrites(studentId, className, expected, existing) {
+  const writes = [];
+  const counts = { created: 0, updated: 0, removed: 0 };
+  const byKey = Object.fromEntries(existing.map((s) => [rowKey(s.scope, s.level), s]));
+
+  Object.entries(expected).forEach(([key, m]) => {
+    const current = byKey[key];
+    if (current && sameRow(current, m, className)) return;
+
+    const [scope, level] = key.split("|");
+    writes.push({
+      updateOne: {
+        filter: { studentId, scope, level },
+        update: {
+          $set: {
+            score: m.score,
+            attempts: m.attempts,
+            firstTry: m.firstTry,
+            // stored as epoch rather than null, so sorts and $lt agree
+            reachedAt: m.reachedAt || new Date(0),
+            className,
+          },
+        },
+        upsert: true,
+      },
+    });
+    counts[current ? "updated" : "created"] += 1;
+  });
+
+  existing.forEach((s) => {
+    if (rowKey(s.scope, s.level) in expected) return;
+    writes.push({ deleteOne: { filter: { _id: s._id } } });
+    counts.removed += 1;
+  });
+
+  return { writes, counts };
+}
+
+// Recomputes one student's rows for the scopes of `dates`
+export async function refreshStandings(studentId, dates = []) {
+  const id = new mongoose.Types.ObjectId(String(studentId));
+  const student = await Student.findById(id).select("className").lean();
+  if (!student) {
+    await Standing.deleteMany({ studentId: id });
+    return;
+  }
+
+  const scopes = new Set(dates.flatMap(scopesOf));
+  const expected = expectedRows(await studentProgress(id), scopes);
+  const existing = await Standing.find({ studentId: id, scope: { $in: [...scopes] } }).lean();
+
+  const { writes } = standingWrites(id, student.className, expected, existing);
+  if (writes.length) await Standing.bulkWrite(writes, { ordered: false });
+}
+
+/*
+  Recomputes every student's rows. With dryRun nothing is written.
+  Returns { students, created, updated, removed }: anything but zeros
+  means the standings had drifted from StudentQuizProgress.
+*/
+export async function rebuildStandings({ dryRun = false } = {}) {
+  const ids = new Set(
+    [
+      ...(await StudentQuizProgress.distinct("studentId")),
+      ...(await Standing.distinct("studentId")),
+    ].map(String)
+  );
+
+  const totals = { students: ids.size, created: 0, updated: 0, removed: 0 };
+  for (const sid of ids) {
+    const id = new mongoose.Types.ObjectId(sid);
+    const student = await Student.findById(id).select("className").lean();
+    const expected = student ? expectedRows(await studentProgress(id)) : {};
+    const existing = await Standing.find({ studentId: id }).lean();
+
+    const { writes, counts } = standingWrites(id, student?.className, expected, existing);
+    Object.keys(counts).forEach((k) => (totals[k] += counts[k]));
+    if (!dryRun && writes.length) await Standing.bulkWrite(writes, { ordered: false });
+  }
+
+  return totals;
+}
+
+function boardFilter({ scope, level = "all", className }) {
+  return { scope, level, ...(className && { className }) };
+}
+
+// Moves every row of a student to their new class
+export async function moveStandingsClass(studentId, className) {
+  await Standing.updateMany({ studentId }, { $set: { className } });
+}
+
+// Rank of a standing on a board under `mode`
+async function rankOf(filter, mode, row) {
+  if (mode === "dense") {
+    const higher = await Standing.distinct("score", { ...filter, score: { $gt: row.score } });
+    return higher.length + 1;
+  }
+  return (await Standing.countDocuments({ ...filter, ...aheadFilter(mode, row) })) + 1;
+}
+
+/*
+  One page of a board in `mode` order (utils/ranking.js):
+  { rows: [{ studentId, name, email, className, score, attempts,
+             firstTry, reachedAt, rank }], total }
+*/
+export async function standingsPage(board, { skip = 0, limit = 10, mode = "competition" } = {}) {
+  const filter = boardFilter(board);
+  const [standings, total] = await Promise.all([
+    Standing.find(filter).sort(standingSort(mode)).skip(skip).limit(limit).lean(),
+    Standing.countDocuments(filter),
+  ]);
+
+  // the first row is ranked against the whole board, the rest follow from it
+  if (standings.length) {
+    const [first, ...rest] = standings;
+    first.rank = await rankOf(filter, mode, first);
+    assignRanks(rest, mode, { position: skip + 1, rank: first.rank, prev: first });
+  }
+
+  const students = await Student.find({ _id: { $in: standings.map((s) => s.studentId) } })
+    .select("name email className")
+    .lean();
+  const byId = Object.fromEntries(students.map((s) => [String(s._id), s]));
+
+  const rows = standings.map((s) => {
+    const student = byId[String(s.studentId)] || {};
+    return {
+      studentId: String(s.studentId),
+      name: student.name || student.email,
+      email: student.email,
+      className: s.className,
+      score: s.score,
+      attempts: s.attempts,
+      firstTry: s.firstTry,
+      reachedAt: s.reachedAt,
+      rank: s.rank,
+    };
+  });
+
+  return { rows, total };
+}
+
+// Every row of a board with its rank, for exports
+export async function boardRanks(board, mode = "competition") {
+  const rows = await Standing.find(boardFilter(board))
+    .sort(standingSort(mode))
+    .select("studentId score attempts firstTry reachedAt")
+    .lean();
+  return assignRanks(rows, mode);
+}
+
+// { rank, total, of } of a student on a board, rank null when not on it
+export async function standingRank(studentId, board, mode = "competition") {
+  const filter = boardFilter(board);
+  const id = new mongoose.Types.ObjectId(String(studentId));
+  const [own, of] = await Promise.all([
+    Standing.findOne({ ...filter, studentId: id }).lean(),
+    Standing.countDocuments(filter),
+  ]);
+  if (!own) return { rank: null, total: 0, of };
+
+  return { rank: await rankOf(filter, mode, own), total: own.score, of };
+}
+
+// Same shape as studentRanks in utils/leaderboard.js, from the standings
+export async function scopeRanks(studentId, className, scope, mode = "competition") {
+  const levels = {};
+  for (const level of Object.values(LEVEL_KEYS)) {
+    levels[level] = await standingRank(studentId, { scope, level }, mode);
+  }
+  return {
+    overall: await standingRank(studentId, { scope }, mode),
+    class: await standingRank(studentId, { scope, className }, mode),
+    levels,
+  };
+}
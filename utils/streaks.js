@@ -0,0 +1,164 @@
+// backend/utils/streaks.js
+import mongoose from "mongoose";
+import Quiz from "../models/Quiz.js";
+import Student from "../models/Student.js";
+import StudentQuizProgress from "../models/StudentQuizProgress.js";
+import StudentStreak from "../models/StudentStreak.js";
+import StreakBonus from "../models/StreakBonus.js";
+import { classFilter } from "./publishing.js";
+import { getSettings } from "./settings.js";
+import { todayString } from "./dates.js";
+import { recordEntries, streakBonusEntry } from "./ledger.js";
+
+/*
+  Participation streaks. A day counts when the student completed at
+  least one level of it (progress.completed with answers). Streaks run
+  over quiz days, so dates without any quiz for the student's class
+  (weekends, holidays) do not break them. Today does not break a streak
+  until it is over.
+  Everything is rebuilt from StudentQuizProgress. Milestone bonuses are
+  only paid from recalculateStreak (answers, recalculateStreaks.js),
+  reads use computeStreak and write nothing. A bonus is keyed by the
+  date its milestone was reached (see StreakBonus), and a streak that
+  already holds a bonus for a milestone is not paid it again, so
+  streaks joined by a past date completed later never pay twice.
+*/
+
+// Consecutive runs of completed days, in order: [{ start, dates }]
+function streakRuns(days, completed, today) {
+  const runs = [];
+  let run = { start: null, dates: [] };
+
+  days.forEach((date) => {
+    if (completed.has(date)) {
+      if (!run.start) run.start = date;
+      run.dates.push(date);
+    } else if (date !== today) {
+      if (run.dates.length) runs.push(run);
+      run = { start: null, dates: [] };
+    }
+  });
+
+  return { runs, current: run };
+}
+
+// A student's streaks from their progress, nothing is written
+export async function computeStreak(studentId) {
+  const id = new mongoose.Types.ObjectId(String(studentId));
+  const { timezone } = await getSettings();
+  const today = todayString(new Date(), timezone);
+
+  const completedDates = await StudentQuizProgress.distinct("date", {
+    studentId: id,
+    completed: true,
+    "answers.0": { $exists: true },
+    date: { $lte: today },
+  });
+  const completed = new Set(completedDates);
+
+  let runs = [];
+  let current = { start: null, dates: [] };
+
+  if (completed.size) {
+    const first = [...completed].sort()[0];
+    const student = await Student.findById(id).select("className").lean();
+    const quizDates = await Quiz.distinct("date", {
+      date: { $gte: first, $lte: today },
+      status: { $nin: ["draft", "archived"] },
+      ...classFilter(student?.className),
+    });
+
+    const days = [...new Set([...quizDates, ...completed])].sort();
+    ({ runs, current } = streakRuns(days, completed, today));
+  }
+
+  const allRuns = current.dates.length ? [...runs, current] : runs;
+  const longest = allRuns.reduce(
+    (best, r) => (r.dates.length > best.dates.length ? r : best),
+    { start: null, dates: [] }
+  );
+
+  return {
+    studentId: id,
+    runs: allRuns,
+    current: current.dates.length,
+    currentStart: current.start,
+    longest: longest.dates.length,
+    longestStart: longest.start,
+    lastCompletedDate: completedDates.length ? [...completedDates].sort().pop() : null,
+  };
+}
+
+// Saves the streak and pays milestone bonuses not paid yet
+export async function recalculateStreak(studentId) {
+  const streak = await computeStreak(studentId);
+  const id = streak.studentId;
+  const { streakMilestones } = await getSettings();
+
+  const paid = await StreakBonus.find({ studentId: id }).select("milestone reachedOn").lean();
+  const paidWithin = (run, days) =>
+    paid.some((b) => b.milestone === days && run.dates.includes(b.reachedOn));
+
+  // $setOnInsert: a bonus already paid keeps its amount
+  const bonusWrites = [];
+  streak.runs.forEach((run) => {
+    (streakMilestones || []).forEach((m) => {
+      if (run.dates.length < m.days || paidWithin(run, m.days)) return;
+      const reachedOn = run.dates[m.days - 1];
+      bonusWrites.push({
+        updateOne: {
+          filter: { studentId: id, milestone: m.days, reachedOn },
+          update: {
+            $setOnInsert: { diamonds: m.diamonds },
+          },
+          upsert: true,
+        },
+      });
+    });
+  });
+  if (bonusWrites.length) {
+    await StreakBonus.bulkWrite(bonusWrites, { ordered: false });
+    // keyed by bonus, so bonuses already in the ledger are skipped
+    const bonuses = await StreakBonus.find({ studentId: id }).lean();
+    await recordEntries(bonuses.map(streakBonusEntry));
+  }
+
+  return StudentStreak.findOneAndUpdate(
+    { studentId: id },
+    {
+      $set: {
+        current: streak.current,
+        currentStart: streak.currentStart,
+        longest: streak.longest,
+        longestStart: streak.longestStart,
+        lastCompletedDate: streak.lastCompletedDate,
+      },
+    },
+    { upsert: true, new: true }
+  ).lean();
+}
+
+// Streak summary for API responses, computed on read so that a missed
+// day shows up without waiting for the next completed quiz
+export async function streakSummary(studentId) {
+  const streak = await computeStreak(studentId);
+  const bonuses = await StreakBonus.find({ studentId: streak.studentId })
+    .sort({ reachedOn: 1 })
+    .select("milestone reachedOn diamonds")
+    .lean();
+  const { streakMilestones } = await getSettings();
+  const next = (streakMilestones || [])
+    .map((m) => m.days)
+    .sort((a, b) => a - b)
+    .find((days) => days > streak.current);
+
+  return {
+    current: streak.current,
+    currentStart: streak.currentStart,
+    longest: streak.longest,
+    lastCompletedDate: streak.lastCompletedDate,
+    nextMilestone: next || null,
+    bonusDiamonds: bonuses.reduce((sum, b) => sum + b.diamonds, 0),
+    bonuses,
+  };
+}
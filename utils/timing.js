@@ -0,0 +1,88 @@
+// backend/utils/timing.js
+
+/*
+  Timed quizzes:
+    Quiz.timeLimitSeconds      this question only, counted from when the
+                               student started it (questionStartedAt)
+    Quiz.quizTimeLimitSeconds  the whole date + level, set in bulk
+                               (POST /api/quiz/time-limit), counted from
+                               the first fetch (StudentQuizProgress.startedAt)
+  A question starts when it is revealed (POST /api/student-quiz/reveal),
+  or else on its first hint or attempt. Whichever deadline comes first
+  applies.
+  Quiz.lateAnswerPolicy decides what happens after the deadline:
+    reject  the answer is refused and no attempt is used
+    zero    the answer is graded but earns no diamonds
+*/
+export const LATE_ANSWER_POLICIES = ["reject", "zero"];
+
+function positive(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// Seconds the student gets for one question, or null when untimed
+export function questionLimit(quiz) {
+  const limits = [positive(quiz.timeLimitSeconds), positive(quiz.quizTimeLimitSeconds)]
+    .filter((l) => l !== null);
+  return limits.length ? Math.min(...limits) : null;
+}
+
+// Whole quiz limit of a day's questions (the shortest one set wins)
+export function quizLimit(questions) {
+  const limits = questions.map((q) => positive(q.quizTimeLimitSeconds)).filter((l) => l !== null);
+  return limits.length ? Math.min(...limits) : null;
+}
+
+export function deadline(startedAt, limitSeconds) {
+  if (!startedAt || !limitSeconds) return null;
+  return new Date(new Date(startedAt).getTime() + limitSeconds * 1000);
+}
+
+// When a student started one question: its recorded start, else its
+// first submission (progress saved before starts were recorded), else null
+export function questionStartedAt(progress, questionId) {
+  const id = String(questionId);
+  const start = (progress.questionStarts || []).find((s) => s.questionId === id);
+  if (start) return new Date(start.at);
+
+  const answer = (progress.answers || []).find((a) => String(a.questionId) === id);
+  const first = (answer?.submissions || []).find((s) => s.at);
+  return first ? new Date(first.at) : null;
+}
+
+/*
+  Deadline of one question: its own limit from questionStartedAt,
+  capped by the whole quiz limit from quizStartedAt. null when untimed.
+*/
+export function questionDeadline(quiz, { quizStartedAt, questionStartedAt }) {
+  const due = [
+    deadline(questionStartedAt, positive(quiz.timeLimitSeconds)),
+    deadline(quizStartedAt, positive(quiz.quizTimeLimitSeconds)),
+  ].filter(Boolean);
+  return due.length ? new Date(Math.min(...due.map((d) => d.getTime()))) : null;
+}
+
+export function secondsLeft(due, now = new Date()) {
+  if (!due) return null;
+  return Math.max(0, Math.ceil((due.getTime() - now.getTime()) / 1000));
+}
+
+export function latePolicy(quiz) {
+  return LATE_ANSWER_POLICIES.includes(quiz.lateAnswerPolicy) ? quiz.lateAnswerPolicy : "reject";
+}
+
+// Time limit of a create/update body. undefined leaves it alone,
+// "" / 0 / null clears it. Throws a 400 error when invalid.
+export function parseTimeLimit(raw) {
+  if (typeof raw === "undefined") return undefined;
+  if (raw === null || raw === "" || Number(raw) === 0) return null;
+
+  const seconds = Number(raw);
+  if (!Number.isInteger(seconds) || seconds < 0) {
+    const err = new Error("time limit must be a whole number of seconds");
+    err.status = 400;
+    throw err;
+  }
+  return seconds;
+}